@@ -0,0 +1,135 @@
+/* Улюблені зображення CatGirl Downloader у IndexedDB
+ *
+ * Запис: { url, provider, category, artist, source, addedAt } — ключ url.
+ * Зберігаються лише посилання та підписи, не самі файли.
+ *
+ * API (window.catgirlFavorites): all(), has(url), add(item), remove(url), clear(),
+ * exportJson(), importJson(text) -> кількість доданих, normalize(item).
+ * Без IndexedDB (приватний режим деяких браузерів) — тримає список у памʼяті вкладки.
+ */
+
+(function () {
+  "use strict";
+
+  const DB_NAME = "catgirl";
+  const DB_VERSION = 1;
+  const STORE = "favorites";
+  const EXPORT_VERSION = 1;
+
+  const isHttpUrl = (s) => typeof s === "string" && /^https?:\/\//i.test(s);
+  const str = (v) => (typeof v === "string" ? v : "");
+
+  // Приводить запис (у т.ч. з імпортованого файлу) до відомих полів; null — непридатний
+  function normalize(item) {
+    if (!item || !isHttpUrl(item.url)) return null;
+    const addedAt = Number(item.addedAt);
+    return {
+      url: item.url,
+      provider: str(item.provider),
+      category: str(item.category),
+      artist: str(item.artist),
+      source: isHttpUrl(item.source) ? item.source : "",
+      addedAt: Number.isFinite(addedAt) && addedAt > 0 ? addedAt : Date.now(),
+    };
+  }
+
+  let dbPromise = null;
+  const memory = new Map(); // запасний варіант без IndexedDB
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+        let req;
+        try {
+          req = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (_) {
+          return resolve(null);
+        }
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: "url" }).createIndex("addedAt", "addedAt");
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn("IndexedDB недоступна, улюблені лише до закриття вкладки:", req.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Одна операція над сховищем; fn(store) повертає IDBRequest (або нічого)
+  async function run(mode, fn) {
+    const db = await openDb();
+    if (!db) return undefined;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  const byNewest = (a, b) => b.addedAt - a.addedAt;
+
+  async function all() {
+    const db = await openDb();
+    const items = db ? await run("readonly", (s) => s.getAll()) : Array.from(memory.values());
+    return (items || []).sort(byNewest);
+  }
+
+  async function has(url) {
+    const db = await openDb();
+    if (!db) return memory.has(url);
+    return (await run("readonly", (s) => s.count(url))) > 0;
+  }
+
+  async function add(item) {
+    const record = normalize(item);
+    if (!record) throw new Error("invalid favorite");
+    const db = await openDb();
+    if (db) await run("readwrite", (s) => s.put(record));
+    else memory.set(record.url, record);
+    return record;
+  }
+
+  async function remove(url) {
+    const db = await openDb();
+    if (db) await run("readwrite", (s) => s.delete(url));
+    else memory.delete(url);
+  }
+
+  async function clear() {
+    const db = await openDb();
+    if (db) await run("readwrite", (s) => s.clear());
+    else memory.clear();
+  }
+
+  async function exportJson() {
+    const favorites = await all();
+    return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), favorites }, null, 2);
+  }
+
+  // Приймає експорт цієї сторінки або просто масив записів/посилань.
+  // Існуючі записи не дублюються; повертає кількість нових.
+  async function importJson(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.favorites) ? data.favorites : null;
+    if (!list) throw new Error("expected an array or { favorites: [...] }");
+    let added = 0;
+    for (const entry of list) {
+      const record = normalize(typeof entry === "string" ? { url: entry } : entry);
+      if (!record || (await has(record.url))) continue;
+      await add(record);
+      added++;
+    }
+    return added;
+  }
+
+  window.catgirlFavorites = { all, has, add, remove, clear, exportJson, importJson, normalize };
+})();
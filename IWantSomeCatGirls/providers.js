@@ -0,0 +1,172 @@
+/* Джерела зображень для CatGirl Downloader
+ *
+ * Кожен провайдер описує:
+ *   id, name    — ключ і назва для меню налаштувань
+ *   endpoint    — базова адреса API (можна підмінити, див. нижче)
+ *   categories  — категорія сторінки -> шлях/тег цього API (немає ключа = не підтримує)
+ *   url(base, category) — повна адреса запиту
+ *   adapt(json) — відповідь API -> { url, source, artist } або null
+ *
+ * Адреси підмінюються без правок коду — для тестів проти локального стаб-сервера:
+ *   <script>window.catgirlConfig = { endpoints: { "waifu.pics": "http://localhost:8080/waifu" } };</script>
+ * або з консолі/Node: createProviders({ "nekos.best": "http://localhost:8080/nb" }).
+ *
+ * Працює в браузері (window.catgirlProviders) і в Node (module.exports).
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.catgirlProviders = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Категорії, які показує меню (ключі перекладів: catgirl.category.<id>)
+  const CATEGORIES = ["neko", "waifu", "kitsune"];
+
+  const trimSlash = (s) => String(s).replace(/\/+$/, "");
+  const isHttpUrl = (s) => typeof s === "string" && /^https?:\/\//i.test(s);
+
+  const DEFINITIONS = [
+    {
+      id: "waifu.pics",
+      name: "waifu.pics",
+      endpoint: "https://api.waifu.pics",
+      categories: { neko: "neko", waifu: "waifu" },
+      url: (base, path) => `${base}/sfw/${path}`,
+      // { "url": "https://i.waifu.pics/xxx.jpg" }
+      adapt: (json) => (json && isHttpUrl(json.url) ? { url: json.url, source: "", artist: "" } : null),
+    },
+    {
+      id: "nekos.best",
+      name: "nekos.best",
+      endpoint: "https://nekos.best/api/v2",
+      categories: { neko: "neko", waifu: "waifu", kitsune: "kitsune" },
+      url: (base, path) => `${base}/${path}`,
+      // { "results": [{ "url": "...", "artist_name": "...", "source_url": "..." }] }
+      adapt: (json) => {
+        const item = json && Array.isArray(json.results) ? json.results[0] : null;
+        if (!item || !isHttpUrl(item.url)) return null;
+        return {
+          url: item.url,
+          source: isHttpUrl(item.source_url) ? item.source_url : "",
+          artist: item.artist_name || "",
+        };
+      },
+    },
+    {
+      id: "waifu.im",
+      name: "waifu.im",
+      endpoint: "https://api.waifu.im",
+      categories: { waifu: "waifu" },
+      url: (base, tag) => `${base}/search?included_tags=${encodeURIComponent(tag)}&is_nsfw=false`,
+      // { "images": [{ "url": "...", "source": "...", "artists": [{ "name": "..." }] }] }
+      adapt: (json) => {
+        const item = json && Array.isArray(json.images) ? json.images[0] : null;
+        if (!item || !isHttpUrl(item.url)) return null;
+        const artist = Array.isArray(item.artists) && item.artists[0] ? item.artists[0].name : "";
+        return { url: item.url, source: isHttpUrl(item.source) ? item.source : "", artist: artist || "" };
+      },
+    },
+    {
+      id: "nekos.life",
+      name: "nekos.life",
+      endpoint: "https://nekos.life/api/v2",
+      categories: { neko: "neko", kitsune: "fox_girl" },
+      url: (base, path) => `${base}/img/${path}`,
+      // { "url": "https://cdn.nekos.life/neko/xxx.jpg" }
+      adapt: (json) => (json && isHttpUrl(json.url) ? { url: json.url, source: "", artist: "" } : null),
+    },
+  ];
+
+  // Список провайдерів з підміненими адресами (endpoints: { id: baseUrl }).
+  function createProviders(endpoints = {}) {
+    return DEFINITIONS.map((def) => {
+      const override = endpoints[def.id];
+      return Object.assign({}, def, {
+        endpoint: trimSlash(typeof override === "string" && override ? override : def.endpoint),
+      });
+    });
+  }
+
+  const supports = (provider, category) =>
+    Object.prototype.hasOwnProperty.call(provider.categories, category);
+
+  // Порядок спроб: обраний провайдер першим, далі решта, що підтримують категорію.
+  function orderFor(providers, category, preferred) {
+    const usable = providers.filter((p) => supports(p, category));
+    const first = usable.filter((p) => p.id === preferred);
+    return first.concat(usable.filter((p) => p.id !== preferred));
+  }
+
+  // Один запит до одного провайдера з таймаутом. fetchImpl підмінюється в тестах.
+  async function fetchFrom(provider, category, opts = {}) {
+    const { timeout = 8000, signal, fetchImpl = fetch } = opts;
+    const ctrl = new AbortController();
+    const onAbort = () => ctrl.abort();
+    if (signal) {
+      if (signal.aborted) ctrl.abort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+    const timer = setTimeout(() => ctrl.abort(), timeout);
+    // не покладаємось на те, що fetchImpl поважає signal: таймаут спрацює в будь-якому разі
+    const aborted = new Promise((_, reject) => {
+      ctrl.signal.addEventListener("abort", () => reject(new Error("aborted")), { once: true });
+    });
+    try {
+      const url = provider.url(provider.endpoint, provider.categories[category]);
+      const request = fetchImpl(url, { signal: ctrl.signal, headers: { Accept: "application/json" } })
+        .then((res) => {
+          if (!res.ok) {
+            const err = new Error(`HTTP ${res.status}`);
+            err.status = res.status;
+            throw err;
+          }
+          return res.json();
+        });
+      const result = provider.adapt(await Promise.race([request, aborted]));
+      if (!result) throw new Error("unexpected response");
+      return Object.assign(result, { provider: provider.id, category });
+    } catch (err) {
+      if (ctrl.signal.aborted && !(signal && signal.aborted)) {
+        const timeoutErr = new Error(`timeout after ${timeout} ms`);
+        timeoutErr.timeout = true;
+        throw timeoutErr;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Перебирає провайдерів, доки хтось не поверне зображення. opts.validate(result)
+  // дозволяє відкинути результат (наприклад, картинка не завантажилась) і йти далі.
+  // Якщо впали всі — помилка з полем failures: [{ provider, message }].
+  async function fetchImage(providers, opts = {}) {
+    const { category = CATEGORIES[0], preferred = "", signal, validate, onAttempt } = opts;
+    const order = orderFor(providers, category, preferred);
+    const failures = [];
+    for (const provider of order) {
+      if (signal && signal.aborted) break;
+      if (onAttempt) onAttempt(provider);
+      try {
+        const result = await fetchFrom(provider, category, opts);
+        if (validate) await validate(result);
+        return result;
+      } catch (err) {
+        if (signal && signal.aborted) break;
+        failures.push({ provider: provider.id, message: err.message });
+      }
+    }
+    if (signal && signal.aborted) {
+      const abortErr = new Error("aborted");
+      abortErr.name = "AbortError";
+      throw abortErr;
+    }
+    const err = new Error(failures.map((f) => `${f.provider}: ${f.message}`).join("; ") || "no providers");
+    err.failures = failures;
+    throw err;
+  }
+
+  return { CATEGORIES, createProviders, supports, orderFor, fetchFrom, fetchImage };
+});
@@ -3,97 +3,698 @@ document.addEventListener("DOMContentLoaded", () => {
   const imageContainer = document.getElementById("image-container");
   const settingsBtn = document.getElementById("settings-btn");
   const settingsMenu = document.getElementById("settings-menu");
-  const darkThemeToggle = document.getElementById("dark-theme-toggle");
+  const themeSelect = document.getElementById("theme-select");
+  const langSelect = document.getElementById("lang-select");
+  const categorySelect = document.getElementById("category-select");
+  const providerSelect = document.getElementById("provider-select");
+  const creditEl = document.getElementById("image-credit");
+  const prevBtn = document.getElementById("prev-btn");
+  const nextBtn = document.getElementById("next-btn");
+  const favoriteBtn = document.getElementById("favorite-btn");
+  const saveBtn = document.getElementById("save-btn");
+  const actionStatus = document.getElementById("action-status");
+  const galleryBtn = document.getElementById("gallery-btn");
+  const gallery = document.getElementById("gallery");
+  const galleryGrid = document.getElementById("gallery-grid");
+  const galleryTitle = document.getElementById("gallery-title");
+  const exportBtn = document.getElementById("export-btn");
+  const importBtn = document.getElementById("import-btn");
+  const importInput = document.getElementById("import-input");
+  const galleryCloseBtn = document.getElementById("gallery-close-btn");
+  const slideshowBtn = document.getElementById("slideshow-btn");
+  const intervalSelect = document.getElementById("interval-select");
 
-  const fetchCatgirl = async () => {
-    imageContainer.innerHTML = "<p>Завантаження...</p>";
+  // Спільний каталог повідомлень з головною сторінкою (../assets/i18n.js);
+  // без нього показуємо ключі, але сторінка працює.
+  const i18n = window.pgI18n || { t: (k) => k, apply() {}, onChange() {}, bindSwitcher() {} };
+  const t = i18n.t;
 
-    try {
-      // Використовуємо надійний waifu.pics API, який не потребує CORS-проксі.
-      // Завжди запитуємо SFW контент.
-      const apiUrl = "https://api.waifu.pics/sfw/neko";
+  // Показати повідомлення в контейнері (textContent — без HTML-ін'єкцій)
+  const showMessage = (text) => {
+    imageContainer.innerHTML = "";
+    const p = document.createElement("p");
+    p.textContent = text;
+    imageContainer.appendChild(p);
+  };
 
-      const response = await fetch(apiUrl);
+  // --- Джерела зображень (providers.js) ---
+  // window.catgirlConfig = { endpoints: { "waifu.pics": "http://localhost:8080" }, timeout: 8000 }
+  // задається до підключення скриптів — так сторінку можна ганяти проти локального стабу.
+  const config = Object.assign({ endpoints: {}, timeout: 8000 }, window.catgirlConfig);
+  const providers = window.catgirlProviders;
+  const providerList = providers.createProviders(config.endpoints);
 
-      if (!response.ok) {
-        throw new Error(`Помилка HTTP: ${response.status}`);
-      }
+  const CATEGORY_KEY = "catgirlCategory";
+  const PROVIDER_KEY = "catgirlProvider"; // "" = автоматично (порядок за замовчуванням)
+  let category = localStorage.getItem(CATEGORY_KEY) || providers.CATEGORIES[0];
+  if (!providers.CATEGORIES.includes(category)) category = providers.CATEGORIES[0];
+  let preferredProvider = localStorage.getItem(PROVIDER_KEY) || "";
 
-      const data = await response.json();
+  // Завантажує картинку до показу; помилка завантаження = провайдер не впорався.
+  const loadImage = (url, signal) =>
+    new Promise((resolve, reject) => {
+      const img = document.createElement("img");
+      img.alt = t("catgirl.imageAlt");
+      const onAbort = () => {
+        img.src = "";
+        reject(new Error("aborted"));
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      img.onload = () => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(img);
+      };
+      img.onerror = () => {
+        signal.removeEventListener("abort", onAbort);
+        reject(new Error(t("catgirl.loadFailed")));
+      };
+      img.src = url;
+    });
 
-      // Перевіряємо, чи API повернуло URL
-      if (!data.url) {
-        imageContainer.innerHTML =
-          "<p>Не вдалося знайти зображення. Спробуйте ще раз.</p>";
-        return;
-      }
+  // Підпис під картинкою: джерело, автор і посилання на оригінал (якщо API їх дає)
+  const showCredit = (result) => {
+    if (!creditEl) return;
+    creditEl.innerHTML = "";
+    if (!result) return;
+    const provider = providerList.find((p) => p.id === result.provider);
+    creditEl.append(t("catgirl.via", { provider: provider ? provider.name : result.provider }));
+    if (result.artist) creditEl.append(" · ", t("catgirl.artist", { artist: result.artist }));
+    if (result.source) {
+      const a = document.createElement("a");
+      a.href = result.source;
+      a.target = "_blank";
+      a.rel = "noopener noreferrer";
+      a.textContent = t("catgirl.sourceLink");
+      creditEl.append(" · ", a);
+    }
+  };
 
-      const imageUrl = data.url;
+  // --- Історія сесії ---
+  // Показані картинки цієї вкладки (sessionStorage): ◀ / ▶ гортають їх,
+  // ▶ на останній — завантажує нову.
+  const HISTORY_KEY = "catgirlHistory";
+  const HISTORY_LIMIT = 50;
+  let history = [];
+  let historyIndex = -1;
+  let current = null; // запис, що зараз на екрані
 
-      // Створюємо та відображаємо зображення
-      const img = document.createElement("img");
-      img.src = imageUrl;
-      img.alt = "Catgirl";
-      img.style.display = "none"; // Ховаємо зображення до повного завантаження
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(HISTORY_KEY) || "null");
+    if (saved && Array.isArray(saved.items)) {
+      history = saved.items.filter((r) => r && typeof r.url === "string");
+      historyIndex = Math.min(Number(saved.index) || 0, history.length - 1);
+    }
+  } catch (_) {
+    /* пошкоджений запис — починаємо з порожньої історії */
+  }
 
-      img.onload = () => {
-        imageContainer.innerHTML = ""; // Очищуємо контейнер від тексту "Завантаження..."
-        img.style.display = "block"; // Показуємо зображення
-        imageContainer.appendChild(img);
-      };
+  const saveHistory = () => {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ items: history, index: historyIndex }));
+    } catch (_) {
+      /* sessionStorage недоступний — історія живе лише до перезавантаження */
+    }
+  };
+
+  const addToHistory = (result) => {
+    // як у браузері: нова картинка відкидає записи "попереду"
+    history = history.slice(0, historyIndex + 1);
+    history.push(result);
+    if (history.length > HISTORY_LIMIT) history = history.slice(-HISTORY_LIMIT);
+    historyIndex = history.length - 1;
+    saveHistory();
+  };
+
+  const showStatus = (text) => {
+    if (actionStatus) actionStatus.textContent = text || "";
+  };
+
+  const updateNav = () => {
+    if (prevBtn) prevBtn.disabled = historyIndex <= 0;
+    if (nextBtn) nextBtn.disabled = false;
+    if (saveBtn) saveBtn.disabled = !current;
+    updateFavoriteBtn();
+  };
 
+  // Показати запис; img — уже завантажена картинка (після пошуку) або створиться нова
+  const displayResult = (result, img) => {
+    current = result;
+    if (!img) {
+      img = document.createElement("img");
+      img.alt = t("catgirl.imageAlt");
       img.onerror = () => {
-        imageContainer.innerHTML =
-          "<p>Не вдалося завантажити зображення. Спробуйте інше.</p>";
+        if (current === result) showMessage(t("catgirl.loadFailed"));
       };
+      img.src = result.url;
+    }
+    imageContainer.innerHTML = "";
+    imageContainer.appendChild(img);
+    showCredit(result);
+    showStatus("");
+    updateNav();
+    scheduleSlide();
+  };
+
+  const goTo = (index) => {
+    if (index < 0 || index >= history.length) return;
+    if (currentRequest) currentRequest.abort();
+    historyIndex = index;
+    saveHistory();
+    displayResult(history[index]);
+  };
+
+  let currentRequest = null;
+
+  // Пошук однієї картинки з перебором джерел; повертає { result, img } з уже
+  // завантаженою (і, де можна, декодованою) картинкою.
+  const findImage = async (signal, onAttempt) => {
+    let img = null;
+    const result = await providers.fetchImage(providerList, {
+      category,
+      preferred: preferredProvider,
+      timeout: config.timeout,
+      signal,
+      onAttempt,
+      validate: async (r) => {
+        img = await loadImage(r.url, signal);
+        // декодуємо заздалегідь, щоб показ не смикав головний потік
+        if (img.decode) await img.decode().catch(() => {});
+      },
+    });
+    return { result, img };
+  };
+
+  // --- Буфер наперед завантажених картинок ---
+  // Тримає config.prefetch готових картинок для поточних категорії/джерела,
+  // тож "нова кішко-дівчина" зʼявляється одразу. Зміна налаштувань скидає буфер.
+  const PREFETCH_SIZE = Number.isFinite(config.prefetch) ? Math.max(0, config.prefetch) : 3;
+  let prefetched = [];
+  let prefetchCtrl = null;
+
+  const isKnownUrl = (url) =>
+    prefetched.some((p) => p.result.url === url) || (current && current.url === url);
+
+  const fillPrefetch = async () => {
+    if (prefetchCtrl || prefetched.length >= PREFETCH_SIZE) return;
+    const ctrl = new AbortController();
+    prefetchCtrl = ctrl;
+    try {
+      let misses = 0;
+      while (!ctrl.signal.aborted && prefetched.length < PREFETCH_SIZE && misses < 3) {
+        const item = await findImage(ctrl.signal);
+        if (ctrl.signal.aborted) break;
+        // деякі API віддають ту саму картинку двічі поспіль
+        if (isKnownUrl(item.result.url)) misses++;
+        else prefetched.push(item);
+      }
     } catch (error) {
-      console.error("Помилка під час завантаження:", error);
-      imageContainer.innerHTML = `<p>Виникла помилка: ${error.message}</p>`;
+      // усі джерела зараз впали — наступне натискання спробує ще раз само
+      if (error.name !== "AbortError") console.warn("Prefetch зупинено:", error.failures || error);
+    } finally {
+      if (prefetchCtrl === ctrl) prefetchCtrl = null;
     }
   };
 
+  const resetPrefetch = () => {
+    if (prefetchCtrl) prefetchCtrl.abort();
+    prefetchCtrl = null;
+    prefetched = [];
+  };
+
+  const fetchCatgirl = async () => {
+    // Нове натискання скасовує попередній пошук
+    if (currentRequest) currentRequest.abort();
+
+    const ready = prefetched.shift();
+    if (ready) {
+      currentRequest = null;
+      addToHistory(ready.result);
+      displayResult(ready.result, ready.img);
+      fillPrefetch();
+      return;
+    }
+
+    const ctrl = new AbortController();
+    currentRequest = ctrl;
+    current = null;
+    showMessage(t("catgirl.loading"));
+    showCredit(null);
+    showStatus("");
+    updateNav();
+
+    try {
+      const { result, img } = await findImage(ctrl.signal, (provider) =>
+        showMessage(t("catgirl.trying", { provider: provider.name })),
+      );
+      if (ctrl.signal.aborted) return;
+      addToHistory(result);
+      displayResult(result, img);
+      fillPrefetch();
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("Помилка під час завантаження:", error.failures || error);
+      showMessage(t("catgirl.allFailed"));
+      scheduleSlide(); // слайдшоу спробує ще раз через інтервал
+    } finally {
+      if (currentRequest === ctrl) currentRequest = null;
+    }
+  };
+
+  // Меню категорій і джерел; підписи перекладаються, тому заповнюємо з коду
+  const fillSelect = (select, options, value) => {
+    if (!select) return;
+    select.innerHTML = "";
+    options.forEach(([optValue, label]) => {
+      const opt = document.createElement("option");
+      opt.value = optValue;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = value;
+  };
+
+  const renderSourceSettings = () => {
+    fillSelect(
+      categorySelect,
+      providers.CATEGORIES.map((c) => [c, t(`catgirl.category.${c}`)]),
+      category,
+    );
+    // Джерела, що не вміють обрану категорію, не показуємо
+    const usable = providerList.filter((p) => providers.supports(p, category));
+    if (!usable.some((p) => p.id === preferredProvider)) preferredProvider = "";
+    fillSelect(
+      providerSelect,
+      [["", t("catgirl.providerAuto")]].concat(usable.map((p) => [p.id, p.name])),
+      preferredProvider,
+    );
+    fillSelect(
+      intervalSelect,
+      INTERVALS.map((sec) => [String(sec), t("catgirl.seconds", { count: sec })]),
+      String(slideInterval),
+    );
+  };
+
+  if (categorySelect) {
+    categorySelect.addEventListener("change", () => {
+      category = categorySelect.value;
+      localStorage.setItem(CATEGORY_KEY, category);
+      renderSourceSettings();
+      resetPrefetch();
+      fetchCatgirl();
+    });
+  }
+
+  if (providerSelect) {
+    providerSelect.addEventListener("change", () => {
+      preferredProvider = providerSelect.value;
+      localStorage.setItem(PROVIDER_KEY, preferredProvider);
+      resetPrefetch();
+      fetchCatgirl();
+    });
+  }
+
+  const showPrev = () => goTo(historyIndex - 1);
+  const showNext = () => {
+    if (historyIndex < history.length - 1) goTo(historyIndex + 1);
+    else fetchCatgirl();
+  };
+
+  if (prevBtn) prevBtn.addEventListener("click", showPrev);
+  if (nextBtn) nextBtn.addEventListener("click", showNext);
+
+  // --- Слайдшоу ---
+  // Після показу кожної картинки чекає інтервал і гортає далі. Пауза, поки курсор
+  // над картинкою або вкладка прихована.
+  const INTERVAL_KEY = "catgirlSlideshowInterval";
+  const INTERVALS = [3, 5, 10, 20, 60]; // секунди
+  let slideInterval = Number(localStorage.getItem(INTERVAL_KEY));
+  if (!INTERVALS.includes(slideInterval)) slideInterval = 5;
+  let slideshowOn = false;
+  let hovering = false;
+  let slideTimer = null;
+
+  const slideshowPaused = () => hovering || document.hidden;
+
+  function scheduleSlide() {
+    clearTimeout(slideTimer);
+    slideTimer = null;
+    if (!slideshowOn || slideshowPaused()) return;
+    slideTimer = setTimeout(() => {
+      slideTimer = null;
+      if (slideshowOn && !slideshowPaused()) showNext();
+    }, slideInterval * 1000);
+  }
+
+  const renderSlideshowBtn = () => {
+    if (!slideshowBtn) return;
+    slideshowBtn.textContent = slideshowOn ? "⏸" : "⏵";
+    slideshowBtn.setAttribute("aria-pressed", String(slideshowOn));
+    const label = t(slideshowOn ? "catgirl.slideshowStop" : "catgirl.slideshowStart");
+    slideshowBtn.title = label;
+    slideshowBtn.setAttribute("aria-label", label);
+  };
+
+  const setSlideshow = (on) => {
+    slideshowOn = !!on;
+    renderSlideshowBtn();
+    scheduleSlide();
+  };
+
+  if (slideshowBtn) slideshowBtn.addEventListener("click", () => setSlideshow(!slideshowOn));
+
+  imageContainer.addEventListener("mouseenter", () => {
+    hovering = true;
+    scheduleSlide();
+  });
+  imageContainer.addEventListener("mouseleave", () => {
+    hovering = false;
+    scheduleSlide();
+  });
+  document.addEventListener("visibilitychange", scheduleSlide);
+
+  if (intervalSelect) {
+    intervalSelect.addEventListener("change", () => {
+      slideInterval = Number(intervalSelect.value);
+      localStorage.setItem(INTERVAL_KEY, String(slideInterval));
+      scheduleSlide();
+    });
+  }
+
+  // --- Клавіші: пробіл / → — наступна, ← — попередня ---
+  document.addEventListener("keydown", (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (settingsMenu.classList.contains("open")) return;
+    // не перехоплюємо введення; на кнопках і посиланнях пробіл / Enter їх натискають,
+    // а стрілки працюють як завжди
+    const inside = (selector) => e.target.closest && e.target.closest(selector);
+    if (inside("input, select, textarea, [contenteditable]")) return;
+    if ((e.key === " " || e.key === "Enter") && inside("button, a")) return;
+    if (e.key === " " || e.key === "ArrowRight") {
+      e.preventDefault();
+      showNext();
+    } else if (e.key === "ArrowLeft") {
+      e.preventDefault();
+      showPrev();
+    }
+  });
+
+  // --- Збереження файлу ---
+  const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp", "image/avif": "avif" };
+
+  // "catgirl-neko-abc123.jpg": категорія + імʼя файлу з адреси, розширення з типу за потреби
+  const filenameFor = (result, type) => {
+    let base = "";
+    try {
+      base = decodeURIComponent(new URL(result.url).pathname.split("/").pop() || "");
+    } catch (_) {
+      base = "";
+    }
+    base = base.replace(/[^\w.-]+/g, "_").replace(/^[._]+/, "").slice(0, 80);
+    if (!/\.[a-z0-9]{2,5}$/i.test(base)) base = `${base || Date.now()}.${EXTENSIONS[type] || "jpg"}`;
+    return `catgirl-${result.category || "image"}-${base}`;
+  };
+
+  const saveBlob = (blob, filename) => {
+    const href = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = href;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+  };
+
+  // Без CORS файл не прочитати: посилання з download відкриває картинку в новій вкладці
+  // (або зберігає одразу, якщо сервер дозволяє). window.open після await ріже блокувальник
+  // спливаючих вікон, клік по посиланню — ні.
+  const openForSaving = (url, filename) => {
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.target = "_blank";
+    a.rel = "noopener";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  };
+
+  const saveCurrent = async () => {
+    const result = current;
+    if (!result) return;
+    showStatus(t("catgirl.saving"));
+    try {
+      const response = await fetch(result.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await response.blob();
+      const filename = filenameFor(result, blob.type);
+      saveBlob(blob, filename);
+      showStatus(t("catgirl.saved", { filename }));
+    } catch (error) {
+      // сервер картинки не дозволив CORS — лишається відкрити її, щоб зберегти вручну
+      console.warn("Не вдалося отримати файл:", error);
+      openForSaving(result.url, filenameFor(result, ""));
+      showStatus(t("catgirl.saveFailed"));
+    }
+  };
+
+  if (saveBtn) saveBtn.addEventListener("click", saveCurrent);
+
+  // --- Улюблені (favorites.js, IndexedDB) ---
+  const favorites = window.catgirlFavorites;
+
+  // IndexedDB може відмовити (квота, заблокована чи пошкоджена база) — кажемо про це в статусі
+  const favoritesFailed = (error) => {
+    console.warn("Улюблені недоступні:", error);
+    showStatus(t("catgirl.favoritesFailed", { message: (error && error.message) || String(error) }));
+  };
+
+  const updateFavoriteBtn = async () => {
+    if (!favoriteBtn) return;
+    const result = current;
+    favoriteBtn.disabled = !result || !favorites;
+    const on = !!(result && favorites && (await favorites.has(result.url).catch(() => false)));
+    if (result !== current) return; // поки чекали, картинка змінилась
+    favoriteBtn.textContent = on ? "★" : "☆";
+    favoriteBtn.setAttribute("aria-pressed", String(on));
+    const label = t(on ? "catgirl.unfavorite" : "catgirl.favorite");
+    favoriteBtn.title = label;
+    favoriteBtn.setAttribute("aria-label", label);
+  };
+
+  const toggleFavorite = async () => {
+    const result = current;
+    if (!result || !favorites) return;
+    try {
+      if (await favorites.has(result.url)) await favorites.remove(result.url);
+      else await favorites.add(Object.assign({}, result, { addedAt: Date.now() }));
+    } catch (error) {
+      favoritesFailed(error);
+    }
+    updateFavoriteBtn();
+    renderGallery();
+  };
+
+  if (favoriteBtn) favoriteBtn.addEventListener("click", toggleFavorite);
+
+  const renderGallery = async () => {
+    if (!favorites || !galleryGrid) return;
+    let items;
+    try {
+      items = await favorites.all();
+    } catch (error) {
+      favoritesFailed(error);
+      return;
+    }
+    if (galleryBtn) galleryBtn.textContent = t("catgirl.gallery", { count: items.length });
+    if (galleryTitle) galleryTitle.textContent = t("catgirl.galleryTitle", { count: items.length });
+    if (exportBtn) exportBtn.disabled = !items.length;
+    galleryGrid.innerHTML = "";
+    if (!items.length) {
+      const p = document.createElement("p");
+      p.className = "gallery-empty";
+      p.textContent = t("catgirl.galleryEmpty");
+      galleryGrid.appendChild(p);
+      return;
+    }
+    items.forEach((item) => {
+      const cell = document.createElement("div");
+      cell.className = "gallery-item";
+
+      const open = document.createElement("button");
+      open.type = "button";
+      open.className = "gallery-open";
+      open.title = t("catgirl.openFavorite");
+      const img = document.createElement("img");
+      img.src = item.url;
+      img.alt = t("catgirl.imageAlt");
+      img.loading = "lazy";
+      open.appendChild(img);
+      open.addEventListener("click", () => {
+        if (currentRequest) currentRequest.abort();
+        addToHistory(item);
+        displayResult(item);
+        closeGallery();
+      });
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "gallery-remove";
+      remove.textContent = "✕";
+      remove.title = t("catgirl.remove");
+      remove.setAttribute("aria-label", t("catgirl.remove"));
+      remove.addEventListener("click", async () => {
+        await favorites.remove(item.url).catch(favoritesFailed);
+        renderGallery();
+        updateFavoriteBtn();
+      });
+
+      cell.append(open, remove);
+      galleryGrid.appendChild(cell);
+    });
+  };
+
+  const openGallery = () => {
+    if (!gallery) return;
+    gallery.hidden = false;
+    renderGallery();
+  };
+
+  const closeGallery = () => {
+    if (gallery) gallery.hidden = true;
+  };
+
+  if (galleryBtn) {
+    galleryBtn.addEventListener("click", () => (gallery && !gallery.hidden ? closeGallery() : openGallery()));
+  }
+  if (galleryCloseBtn) galleryCloseBtn.addEventListener("click", closeGallery);
+
+  if (exportBtn) {
+    exportBtn.addEventListener("click", async () => {
+      let json;
+      try {
+        json = await favorites.exportJson();
+      } catch (error) {
+        favoritesFailed(error);
+        return;
+      }
+      saveBlob(new Blob([json], { type: "application/json" }), "catgirl-favorites.json");
+    });
+  }
+
+  if (importBtn && importInput) {
+    importBtn.addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (!file) return;
+      try {
+        const added = await favorites.importJson(await file.text());
+        showStatus(t("catgirl.imported", { count: added }));
+      } catch (error) {
+        showStatus(t("catgirl.importFailed", { message: error.message }));
+      }
+      renderGallery();
+      updateFavoriteBtn();
+    });
+  }
+
   // --- Логіка налаштувань ---
 
+  // Меню — панель-діалог: при відкритті фокус переходить у неї, Tab ходить по колу
+  // між ⚙️ і полями меню, Escape закриває та повертає фокус на ⚙️.
+  const isSettingsOpen = () => settingsMenu.classList.contains("open");
+
+  const settingsFocusables = () =>
+    [settingsBtn].concat(
+      Array.from(settingsMenu.querySelectorAll("button, select, input, a[href]")).filter(
+        (node) => !node.disabled && !node.hidden,
+      ),
+    );
+
+  const openSettings = () => {
+    settingsMenu.classList.add("open");
+    settingsBtn.setAttribute("aria-expanded", "true");
+    const first = settingsFocusables()[1];
+    if (first) first.focus();
+  };
+
+  const closeSettings = (returnFocus = true) => {
+    if (!isSettingsOpen()) return;
+    settingsMenu.classList.remove("open");
+    settingsBtn.setAttribute("aria-expanded", "false");
+    if (returnFocus) settingsBtn.focus();
+  };
+
   // Відкриття/закриття меню налаштувань
   settingsBtn.addEventListener("click", (e) => {
     e.stopPropagation(); // Зупиняємо спливання, щоб не закрити меню одразу
-    settingsMenu.classList.toggle("open");
+    if (isSettingsOpen()) closeSettings();
+    else openSettings();
   });
 
-  // Закриття меню при кліку поза ним
+  // Закриття меню при кліку поза ним (фокус лишається там, куди клікнули)
   document.addEventListener("click", (e) => {
-    if (
-      settingsMenu.classList.contains("open") &&
-      !settingsMenu.contains(e.target)
-    ) {
-      settingsMenu.classList.remove("open");
-    }
+    if (isSettingsOpen() && !settingsMenu.contains(e.target)) closeSettings(false);
   });
 
-  // --- Темна тема ---
-  const applyTheme = (isDark) => {
-    if (isDark) {
-      document.body.classList.add("dark-theme");
-    } else {
-      document.body.classList.remove("dark-theme");
+  document.addEventListener("keydown", (e) => {
+    if (!isSettingsOpen()) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeSettings();
+      return;
     }
-  };
+    if (e.key !== "Tab") return;
+    const items = settingsFocusables();
+    const i = items.indexOf(document.activeElement);
+    // фокус утік за межі меню (клік по сторінці тощо) — повертаємо на початок
+    if (i === -1) {
+      e.preventDefault();
+      items[0].focus();
+    } else if (e.shiftKey && i === 0) {
+      e.preventDefault();
+      items[items.length - 1].focus();
+    } else if (!e.shiftKey && i === items.length - 1) {
+      e.preventDefault();
+      items[0].focus();
+    }
+  });
+
+  // --- Тема ---
+  // Вибір зберігається спільно з головною сторінкою (../assets/theme.js)
+  const theme = window.pgTheme;
+  const refreshThemeLabels = theme
+    ? theme.bindSwitcher(themeSelect, (name) => t(`theme.${name}`))
+    : () => {};
 
-  darkThemeToggle.addEventListener("change", () => {
-    const isDark = darkThemeToggle.checked;
-    localStorage.setItem("darkTheme", isDark);
-    applyTheme(isDark);
+  // --- Мова ---
+  i18n.bindSwitcher(langSelect);
+  i18n.onChange(() => {
+    refreshThemeLabels();
+    renderSourceSettings();
+    renderGallery();
+    updateFavoriteBtn();
+    renderSlideshowBtn();
   });
 
   // --- Ініціалізація ---
   const initialize = () => {
-    // Застосовуємо тему
-    const savedTheme = localStorage.getItem("darkTheme") === "true";
-    darkThemeToggle.checked = savedTheme;
-    applyTheme(savedTheme);
+    // Перекладаємо статичну розмітку (data-i18n)
+    i18n.apply();
+    renderSourceSettings();
 
-    // Завантажуємо перше зображення
-    fetchCatgirl();
+    renderGallery();
+    renderSlideshowBtn();
+
+    // Після перезавантаження вкладки показуємо останню картинку з історії,
+    // інакше — завантажуємо перше зображення
+    if (historyIndex >= 0) {
+      goTo(historyIndex);
+      fillPrefetch();
+    } else {
+      fetchCatgirl();
+    }
   };
 
   // Додаємо обробник події для головної кнопки
@@ -101,4 +702,12 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Запускаємо ініціалізацію при завантаженні сторінки
   initialize();
+
+  // Офлайн: спільний service worker головної сторінки (../sw.js) кешує і цю сторінку
+  // (самі картинки з API він не зберігає)
+  if ("serviceWorker" in navigator && window.isSecureContext) {
+    navigator.serviceWorker
+      .register("../sw.js")
+      .catch((error) => console.warn("Service worker не зареєстровано:", error));
+  }
 });
@@ -0,0 +1,130 @@
+/* Atom feed, JSON Feed and sitemap.xml built from the project list
+ *
+ * Shared by the page (download buttons, current scan results) and scripts/build-index.js
+ * (feed.xml, feed.json and sitemap.xml committed next to index.html).
+ *
+ * Input: projects as script.js keeps them ({ name, title, desc, url, date, tags, image,
+ * thumbnail, lang }) and the site: { url, title, description, author, lang, feedUrl,
+ * jsonFeedUrl, updated }. `site.url` must be absolute with a trailing slash; project
+ * folders and relative URLs are resolved against it.
+ *
+ * Entries are newest first by `date` (on the page the folder's last commit, in the built
+ * files only a hand-written one); undated ones follow by name and carry the feed's own date. Atom entry ids are the project URLs, so a reader
+ * only shows a project again when it moves.
+ *
+ * Works in the browser (window.pgFeeds) and in Node (module.exports).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.pgFeeds = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  const escapeXml = (s) => String(s).replace(/[&<>"']/g, c => ESCAPES[c]);
+
+  // '' for dates that don't parse; no milliseconds ("2026-10-19T16:45:49Z")
+  function isoDate(value) {
+    const ms = typeof value === 'number' ? value : Date.parse(value || '');
+    return Number.isNaN(ms) || !value ? '' : new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // "./games/snake game/" style folder link, or the entry's own url, made absolute
+  function projectUrl(project, siteUrl) {
+    const href = project.url || `./${project.name.split('/').map(encodeURIComponent).join('/')}/`;
+    return new URL(href, siteUrl).href;
+  }
+
+  function entries(projects, site) {
+    const list = projects.map(p => ({
+      project: p,
+      url: projectUrl(p, site.url),
+      date: isoDate(p.date),
+      image: p.image || p.thumbnail ? new URL(p.image || p.thumbnail, projectUrl(p, site.url)).href : ''
+    }));
+    list.sort((a, b) => (b.date > a.date ? 1 : b.date < a.date ? -1 : 0)
+      || a.project.name.localeCompare(b.project.name, undefined, { sensitivity: 'base' }));
+    const newest = list.find(e => e.date);
+    return { list, updated: (newest && newest.date) || isoDate(site.updated) || isoDate(Date.now()) };
+  }
+
+  const title = p => p.title || p.name;
+
+  function atom(projects, site) {
+    const { list, updated } = entries(projects, site);
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<feed xmlns="http://www.w3.org/2005/Atom"${site.lang ? ` xml:lang="${escapeXml(site.lang)}"` : ''}>`,
+      `  <title>${escapeXml(site.title)}</title>`
+    ];
+    if (site.description) lines.push(`  <subtitle>${escapeXml(site.description)}</subtitle>`);
+    lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(site.url)}"/>`);
+    if (site.feedUrl) lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(site.feedUrl)}"/>`);
+    lines.push(
+      `  <id>${escapeXml(site.url)}</id>`,
+      `  <updated>${updated}</updated>`,
+      `  <author><name>${escapeXml(site.author || site.title)}</name></author>`
+    );
+    list.forEach(({ project: p, url, date }) => {
+      lines.push(
+        `  <entry${p.lang ? ` xml:lang="${escapeXml(p.lang)}"` : ''}>`,
+        `    <title>${escapeXml(title(p))}</title>`,
+        `    <link rel="alternate" href="${escapeXml(url)}"/>`,
+        `    <id>${escapeXml(url)}</id>`,
+        `    <updated>${date || updated}</updated>`
+      );
+      if (p.desc) lines.push(`    <summary>${escapeXml(p.desc)}</summary>`);
+      (p.tags || []).forEach(tag => lines.push(`    <category term="${escapeXml(tag)}"/>`));
+      lines.push('  </entry>');
+    });
+    lines.push('</feed>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // https://www.jsonfeed.org/version/1.1/
+  function jsonFeed(projects, site) {
+    const { list } = entries(projects, site);
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: site.title,
+      home_page_url: site.url,
+      feed_url: site.jsonFeedUrl,
+      description: site.description || undefined,
+      language: site.lang || undefined,
+      authors: [{ name: site.author || site.title }],
+      items: list.map(({ project: p, url, date, image }) => ({
+        id: url,
+        url,
+        title: title(p),
+        content_text: p.desc || title(p),
+        summary: p.desc || undefined,
+        image: image || undefined,
+        date_modified: date || undefined,
+        tags: p.tags && p.tags.length ? p.tags.slice() : undefined,
+        language: p.lang || undefined
+      }))
+    };
+    return `${JSON.stringify(feed, null, 2)}\n`;
+  }
+
+  // Only pages of this site: external project links belong to other hosts' sitemaps.
+  function sitemap(projects, site) {
+    const { list, updated } = entries(projects, site);
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      `  <url><loc>${escapeXml(site.url)}</loc><lastmod>${updated}</lastmod></url>`
+    ];
+    const seen = new Set([site.url]);
+    list.forEach(({ url, date }) => {
+      if (!url.startsWith(site.url) || seen.has(url)) return;
+      seen.add(url);
+      lines.push(`  <url><loc>${escapeXml(url)}</loc>${date ? `<lastmod>${date}</lastmod>` : ''}</url>`);
+    });
+    lines.push('</urlset>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { atom, jsonFeed, sitemap, projectUrl };
+});
@@ -0,0 +1,709 @@
+/* Message catalogs and language switching shared by the portfolio and its subprojects
+ *
+ * - t(key, params): looks the key up in the current language, falls back to Ukrainian and
+ *   finally to the key itself. "{name}" placeholders are filled from params; a message may
+ *   be an object of plural forms ({ one, few, many, other }) picked by params.count via
+ *   Intl.PluralRules.
+ * - apply(root): translates static markup:
+ *     <span data-i18n="site.refresh"></span>
+ *     <button data-i18n-attr="title:site.refreshTitle;aria-label:site.refreshTitle">
+ * - setLang(lang): persists the choice in localStorage ("pg-lang"), re-applies the markup
+ *   and fires a "pg:langchange" event on window. Other tabs follow through the storage event.
+ * - bindSwitcher(select): fills a <select> with the available languages and keeps it in sync.
+ *
+ * Subprojects load this same file (../assets/i18n.js) and keep their keys under their own
+ * prefix (e.g. "catgirl.*"), so one switch changes the language everywhere.
+ *
+ * Works in the browser (window.pgI18n) and in Node (module.exports; no DOM helpers).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(null);
+  else root.pgI18n = factory(root);
+})(typeof self !== 'undefined' ? self : this, function (win) {
+  'use strict';
+
+  const STORAGE_KEY = 'pg-lang';
+  const DEFAULT_LANG = 'uk';
+
+  const catalogs = {
+    uk: {
+      'lang.name': 'Українська',
+      'lang.label': 'Мова',
+
+      // root page: static markup
+      'site.title': 'Портфоліо — Minimal · Gruvbox',
+      'site.name': 'Твоє Ім\'я',
+      'site.tagline': 'ПИЗДАТИЙ мінімалістичний портфоліо — gruvbox',
+      'site.controls': 'Керування сайтом',
+      'site.refresh': 'Оновити',
+      'site.refreshTitle': 'Оновити список',
+      'site.theme': 'Тема',
+      'site.themeTitle': 'Світла / Темна тема',
+      'site.overviewTitle': 'Про сайт',
+      'site.overviewText': 'Цей сайт автоматично шукає підпапки в репозиторії та показує їх як проєкти. Можна перемикати режим отримання (GitHub API або локально), показувати сховані папки тощо.',
+      'site.projectsTitle': 'Проєкти / Сторінки',
+      'site.projectsHint': 'Натисни на карточку, щоб перейти до відповідної папки. Стрілки — між картками, / — пошук.',
+      'site.loadingList': 'Завантаження списку…',
+      'site.searchPlaceholder': 'Пошук проєктів…',
+      'site.search': 'Пошук проєктів',
+      'site.sort': 'Сортування',
+      'site.sortPinned': 'Спочатку закріплені',
+      'site.sortName': 'За назвою',
+      'site.sortUpdated': 'Нещодавно оновлені',
+      'site.tagFilter': 'Фільтр за тегами',
+      'site.ready': 'Готово',
+      'site.discoveryTitle': 'Переключити між переліком кореня та пошуком вкладених сторінок (Git Trees API)',
+      'site.useApiTitle': 'Переключити між GitHub API та локальним режимом',
+      'site.healthTitle': 'Перевіряти, чи відкриваються сторінки та файли, на які вони посилаються',
+      'site.feeds': 'Стрічки:',
+      'site.feedTitle': 'Завантажити стрічку з поточного списку проєктів',
+      'site.sitemapTitle': 'Завантажити sitemap.xml з поточного списку проєктів',
+      'site.diagnostics': 'Діагностика',
+      'site.diagnosticsTitle': 'Показати, що саме перевірило сканування: запити, статуси, час і джерело кожної картки',
+      'site.contactTitle': 'Контакт',
+      'site.aboutTitle': 'Про проєкт',
+      'site.aboutText': 'Легкий статичний портфоліо у стилі gruvbox. Сканує підпапки репозиторію і намагається зчитати назву/опис з локального index.html або з GitHub (README.md / index.html).',
+      'site.ownerRepo': 'Власник / репо',
+      'site.settings': 'Налаштування',
+      'site.tokenLabel': 'GitHub токен (лише для цієї вкладки)',
+      'site.tokenSave': 'Зберегти',
+      'site.tokenClear': 'Прибрати',
+
+      'theme.label': 'Тема оформлення',
+      'theme.system': 'Як у системі',
+      'theme.dark': 'Gruvbox темна',
+      'theme.light': 'Gruvbox світла',
+      'theme.dark-hard': 'Gruvbox темна (контрастна)',
+      'theme.dark-soft': 'Gruvbox темна (мʼяка)',
+      'theme.light-hard': 'Gruvbox світла (контрастна)',
+      'theme.light-soft': 'Gruvbox світла (мʼяка)',
+
+      // root page: buttons toggled from script.js
+      'btn.showHidden': 'Показати сховані',
+      'btn.hideHidden': 'Приховати сховані',
+      'btn.useApi': 'Використати GitHub API',
+      'btn.localMode': 'Локальний режим',
+      'btn.discoveryTree': 'Режим: дерево (вкладені)',
+      'btn.discoveryRoot': 'Режим: корінь',
+      'btn.healthOn': 'Перевірка: увімк',
+      'btn.healthOff': 'Перевірка: вимк',
+
+      'repo.unknown': 'Невизначено — додайте <meta name="gh-owner"> і <meta name="gh-repo">',
+
+      'rate.tokenSet': 'API: токен задано',
+      'rate.exhausted': 'API: ліміт вичерпано — пауза до {time}',
+      'rate.quota': 'API: {remaining}/{limit}',
+      'rate.reset': ' · скидання о {time}',
+      'rate.token': ' · токен',
+      'token.placeholderSet': 'токен задано',
+      'token.placeholder': 'ghp_… / github_pat_…',
+
+      'card.open': 'Відкрити {name}',
+      'card.folder': 'Папка',
+      'card.pinned': 'Закріплено',
+      'card.preview': 'Прев\'ю',
+      'card.recent': 'Оновлено',
+      'card.recentTitle': {
+        one: 'Змінювалось за останній {count} день',
+        few: 'Змінювалось за останні {count} дні',
+        many: 'Змінювалось за останні {count} днів',
+        other: 'Змінювалось за останні {count} дня'
+      },
+      'card.source': 'Код',
+      'card.sourceTitle': 'Код {name} на GitHub',
+      'card.origin': 'З репозиторію {repo}',
+
+      'health.checking': 'Перевіряю сторінку…',
+      'health.ok': {
+        one: 'Сторінка відкривається, {count} посилання в порядку',
+        few: 'Сторінка відкривається, {count} посилання в порядку',
+        many: 'Сторінка відкривається, {count} посилань в порядку',
+        other: 'Сторінка відкривається, {count} посилання в порядку'
+      },
+      'health.broken': {
+        one: '{count} бите посилання',
+        few: '{count} биті посилання',
+        many: '{count} битих посилань',
+        other: '{count} битого посилання'
+      },
+      'health.pageError': 'index.html не відкривається (HTTP {status})',
+      'health.networkError': 'помилка мережі',
+      'health.kind.stylesheet': 'стилі',
+      'health.kind.script': 'скрипт',
+      'health.kind.image': 'зображення',
+      'health.kind.icon': 'іконка',
+      'health.kind.media': 'медіа',
+      'health.kind.link': 'посилання',
+
+      'diag.title': 'Діагностика сканування',
+      'diag.none': 'Сканування ще не запускалось.',
+      'diag.export': 'Експорт JSON',
+      'diag.summary': 'Сканування о {time}: {ms} мс, {outcome} · репозиторій: {repo} · режим: {mode}',
+      'diag.steps': 'Кроки',
+      'diag.folders': 'Папки ({count})',
+      'diag.ms': 'мс',
+      'diag.col.stage': 'Етап',
+      'diag.col.url': 'Адреса',
+      'diag.col.result': 'Результат',
+      'diag.col.folder': 'Папка',
+      'diag.col.source': 'Джерело',
+      'diag.col.attempts': 'Спроби',
+      'diag.outcome.running': 'триває',
+      'diag.outcome.done': 'завершено',
+      'diag.outcome.empty': 'нічого не знайдено',
+      'diag.outcome.offline': 'офлайн',
+      'diag.outcome.error': 'помилка',
+      'diag.result.ok': 'так',
+      'diag.result.miss': 'немає',
+      'diag.result.error': 'помилка',
+      'diag.result.aborted': 'скасовано',
+      'diag.result.skipped': 'пропущено',
+      'diag.result.listing': 'список файлів',
+      'diag.result.page': 'сторінка',
+      'diag.result.single': 'одна картка',
+      'diag.reason.no-repo': 'репозиторій не визначено',
+      'diag.reason.api-off': 'локальний режим',
+      'diag.reason.rate-limited': 'ліміт GitHub API',
+      'diag.reason.truncated': 'дерево обрізане GitHub',
+      'diag.reason.github-found': 'папки вже знайдено через GitHub API',
+      'diag.reason.already-found': 'папки вже знайдено',
+      'diag.reason.request-cap': 'досягнуто ліміту запитів',
+      'diag.reason.hidden': 'сховані',
+      'diag.reason.no-index-json': 'без index.json',
+      'diag.reason.manifest-complete': 'index.json уже має назву й опис',
+      'diag.reason.local-found': 'знайдено локальний index.html',
+      'diag.reason.empty': 'порожній файл',
+      'diag.cache.fresh': 'кеш',
+      'diag.cache.stale': 'застарілий кеш',
+      'diag.cache.revalidated': '304, кеш',
+
+      'preview.open': 'Відкрити',
+      'preview.close': 'Закрити',
+      'preview.loading': 'Завантаження README.md…',
+      'preview.missing': 'README.md не знайдено.',
+
+      'grid.empty': 'Папок не знайдено.',
+      'grid.noMatch': 'Нічого не знайдено за фільтром.',
+
+      'manifest.notObject': 'index.json: очікується обʼєкт з полями "folders" / "projects"',
+      'manifest.notArray': 'index.json: "{key}" має бути масивом',
+      'manifest.badEntry': '{where}: очікується рядок або обʼєкт',
+      'manifest.badName': '{where}: некоректне або відсутнє поле "name"',
+      'manifest.duplicate': '{where}: дублікат "{name}"',
+      'manifest.unknownField': '{where}: невідоме поле "{field}"',
+      'manifest.badValue': '{where}: некоректне значення поля "{field}"',
+      'manifest.badUrl': '{where}: "url" має бути адресою http(s) або відносною — запис пропущено',
+      'manifest.badJson': 'index.json: некоректний JSON ({message})',
+      'manifest.badRepo': '{where}: очікується "owner/repo" або { "repo": "owner/repo", "url": "https://…" }',
+
+      'status.tokenRejected': 'GitHub відхилив токен (401) — перевір або прибери його',
+      'status.scanning': 'Сканування папок…',
+      'status.manifestLoaded': {
+        one: 'Завантажено index.json ({count} запис)',
+        few: 'Завантажено index.json ({count} записи)',
+        many: 'Завантажено index.json ({count} записів)',
+        other: 'Завантажено index.json ({count} запису)'
+      },
+      'status.fetchingTree': 'Отримую дерево репозиторію з GitHub API…',
+      'status.treeFound': {
+        one: 'GitHub API (дерево): знайдено {count} сторінку',
+        few: 'GitHub API (дерево): знайдено {count} сторінки',
+        many: 'GitHub API (дерево): знайдено {count} сторінок',
+        other: 'GitHub API (дерево): знайдено {count} сторінки'
+      },
+      'status.treeTruncated': ' — дерево обрізане GitHub, список може бути неповним',
+      'status.fetchingContents': 'Отримую список вмісту з GitHub API…',
+      'status.contentsFound': {
+        one: 'GitHub API: знайдено {count} директорію',
+        few: 'GitHub API: знайдено {count} директорії',
+        many: 'GitHub API: знайдено {count} директорій',
+        other: 'GitHub API: знайдено {count} директорії'
+      },
+      'status.rateLimited': 'Ліміт GitHub API вичерпано — локальний режим, повторю автоматично',
+      'status.rateLimitedUntil': 'Ліміт GitHub API вичерпано до {time} — локальний режим, повторю автоматично',
+      'status.apiUnavailable': 'GitHub API недоступний або лімітовано; використовую локальний режим',
+      'status.localListing': 'Локальне сканування: читаю список файлів сервера…',
+      'status.listingFound': {
+        one: 'Зі списку файлів сервера: {count} папка',
+        few: 'Зі списку файлів сервера: {count} папки',
+        many: 'Зі списку файлів сервера: {count} папок',
+        other: 'Зі списку файлів сервера: {count} папки'
+      },
+      'status.localScan': 'Локальне сканування: пробую знайти поширені папки та перевіряю наявність index.html…',
+      'status.noneFound': 'Папок не знайдено.',
+      'status.foundFolders': {
+        one: 'Знайдено {count} папку — отримую короткі описи…',
+        few: 'Знайдено {count} папки — отримую короткі описи…',
+        many: 'Знайдено {count} папок — отримую короткі описи…',
+        other: 'Знайдено {count} папки — отримую короткі описи…'
+      },
+      'status.progress': 'Отримую описи… {done}/{count}',
+      'status.healthChecking': 'Перевіряю сторінки й посилання ({count})…',
+      'status.healthDone': 'Перевірка: без проблем — {ok}, з проблемами — {bad}',
+      'status.done': {
+        one: 'Готово — відображено {count} елемент',
+        few: 'Готово — відображено {count} елементи',
+        many: 'Готово — відображено {count} елементів',
+        other: 'Готово — відображено {count} елемента'
+      },
+      'status.manifestErrors': {
+        one: '; index.json: {count} помилка — {errors}',
+        few: '; index.json: {count} помилки — {errors}',
+        many: '; index.json: {count} помилок — {errors}',
+        other: '; index.json: {count} помилки — {errors}'
+      },
+      'status.fetchingRepos': {
+        one: 'Завантажую проєкти з {count} іншого репозиторію…',
+        few: 'Завантажую проєкти з {count} інших репозиторіїв…',
+        many: 'Завантажую проєкти з {count} інших репозиторіїв…',
+        other: 'Завантажую проєкти з {count} іншого репозиторію…'
+      },
+      'status.reposFailed': {
+        one: '; не вдалося завантажити {count} репозиторій — {repos}',
+        few: '; не вдалося завантажити {count} репозиторії — {repos}',
+        many: '; не вдалося завантажити {count} репозиторіїв — {repos}',
+        other: '; не вдалося завантажити {count} репозиторію — {repos}'
+      },
+      'status.fromCache': 'Показано з кешу — перевіряю оновлення…',
+      'status.failed': 'Помилка при скануванні папок',
+      'status.offline': 'Немає мережі, а збереженого списку ще немає',
+      'status.offlineCached': 'Офлайн — показано збережені дані',
+
+      // IWantSomeCatGirls
+      'catgirl.title': 'CatGirl Downloader',
+      'catgirl.settings': 'Налаштування',
+      'catgirl.settingsButton': 'Відкрити налаштування',
+      'catgirl.theme': 'Тема',
+      'catgirl.download': 'Завантажити нову кішко-дівчину!',
+      'catgirl.loading': 'Завантаження...',
+      'catgirl.trying': 'Шукаю на {provider}…',
+      'catgirl.loadFailed': 'Не вдалося завантажити зображення',
+      'catgirl.allFailed': 'Жодне джерело зараз не відповідає. Спробуйте ще раз трохи згодом.',
+      'catgirl.category': 'Категорія',
+      'catgirl.category.neko': 'Кішко-дівчата',
+      'catgirl.category.waifu': 'Вайфу',
+      'catgirl.category.kitsune': 'Кіцуне',
+      'catgirl.provider': 'Джерело',
+      'catgirl.providerAuto': 'Авто (перше доступне)',
+      'catgirl.via': 'Джерело: {provider}',
+      'catgirl.artist': 'автор: {artist}',
+      'catgirl.sourceLink': 'оригінал',
+      'catgirl.prev': 'Попередня',
+      'catgirl.next': 'Наступна',
+      'catgirl.favorite': 'Додати в улюблені',
+      'catgirl.unfavorite': 'Прибрати з улюблених',
+      'catgirl.save': 'Зберегти файл',
+      'catgirl.saving': 'Отримую файл…',
+      'catgirl.saved': 'Збережено як {filename}',
+      'catgirl.saveFailed': 'Сервер не віддав файл напряму — картинку відкрито в новій вкладці, збережіть її звідти.',
+      'catgirl.gallery': 'Улюблені ({count})',
+      'catgirl.galleryTitle': {
+        one: 'Улюблені — {count} картинка',
+        few: 'Улюблені — {count} картинки',
+        many: 'Улюблені — {count} картинок',
+        other: 'Улюблені — {count} картинки'
+      },
+      'catgirl.galleryEmpty': 'Тут поки порожньо — натисніть ☆ під картинкою.',
+      'catgirl.openFavorite': 'Показати',
+      'catgirl.remove': 'Прибрати',
+      'catgirl.close': 'Закрити',
+      'catgirl.export': 'Експорт JSON',
+      'catgirl.import': 'Імпорт JSON',
+      'catgirl.imported': {
+        one: 'Імпортовано {count} нову картинку',
+        few: 'Імпортовано {count} нові картинки',
+        many: 'Імпортовано {count} нових картинок',
+        other: 'Імпортовано {count} нової картинки'
+      },
+      'catgirl.importFailed': 'Не вдалося імпортувати: {message}',
+      'catgirl.favoritesFailed': 'Улюблені недоступні: {message}',
+      'catgirl.slideshowStart': 'Запустити слайдшоу',
+      'catgirl.slideshowStop': 'Зупинити слайдшоу',
+      'catgirl.interval': 'Інтервал слайдшоу',
+      'catgirl.seconds': {
+        one: '{count} секунда',
+        few: '{count} секунди',
+        many: '{count} секунд',
+        other: '{count} секунди'
+      },
+      'catgirl.keysHint': 'Пробіл / → — наступна, ← — попередня',
+      'catgirl.imageAlt': 'Catgirl'
+    },
+
+    en: {
+      'lang.name': 'English',
+      'lang.label': 'Language',
+
+      'site.title': 'Portfolio — Minimal · Gruvbox',
+      'site.name': 'Your Name',
+      'site.tagline': 'A DAMN GOOD minimalist portfolio — gruvbox',
+      'site.controls': 'Site controls',
+      'site.refresh': 'Refresh',
+      'site.refreshTitle': 'Refresh the list',
+      'site.theme': 'Theme',
+      'site.themeTitle': 'Light / dark theme',
+      'site.overviewTitle': 'About this site',
+      'site.overviewText': 'This site finds the subfolders of its repository and shows them as projects. You can switch how they are fetched (GitHub API or locally), show hidden folders and more.',
+      'site.projectsTitle': 'Projects / Pages',
+      'site.projectsHint': 'Click a card to open its folder. Arrow keys move between cards, / focuses search.',
+      'site.loadingList': 'Loading the list…',
+      'site.searchPlaceholder': 'Search projects…',
+      'site.search': 'Search projects',
+      'site.sort': 'Sort order',
+      'site.sortPinned': 'Pinned first',
+      'site.sortName': 'By name',
+      'site.sortUpdated': 'Recently updated',
+      'site.tagFilter': 'Filter by tag',
+      'site.ready': 'Ready',
+      'site.discoveryTitle': 'Switch between listing the root and finding nested pages (Git Trees API)',
+      'site.useApiTitle': 'Switch between the GitHub API and local mode',
+      'site.healthTitle': 'Check that pages open and the files they reference exist',
+      'site.feeds': 'Feeds:',
+      'site.feedTitle': 'Download a feed of the current project list',
+      'site.sitemapTitle': 'Download sitemap.xml for the current project list',
+      'site.diagnostics': 'Diagnostics',
+      'site.diagnosticsTitle': 'Show what the scan checked: requests, statuses, timings and where each card came from',
+      'site.contactTitle': 'Contact',
+      'site.aboutTitle': 'About the project',
+      'site.aboutText': 'A lightweight static gruvbox portfolio. It scans the repository subfolders and reads a title/description from the local index.html or from GitHub (README.md / index.html).',
+      'site.ownerRepo': 'Owner / repo',
+      'site.settings': 'Settings',
+      'site.tokenLabel': 'GitHub token (this tab only)',
+      'site.tokenSave': 'Save',
+      'site.tokenClear': 'Remove',
+
+      'theme.label': 'Color theme',
+      'theme.system': 'Match system',
+      'theme.dark': 'Gruvbox dark',
+      'theme.light': 'Gruvbox light',
+      'theme.dark-hard': 'Gruvbox dark (hard)',
+      'theme.dark-soft': 'Gruvbox dark (soft)',
+      'theme.light-hard': 'Gruvbox light (hard)',
+      'theme.light-soft': 'Gruvbox light (soft)',
+
+      'btn.showHidden': 'Show hidden',
+      'btn.hideHidden': 'Hide hidden',
+      'btn.useApi': 'Use GitHub API',
+      'btn.localMode': 'Local mode',
+      'btn.discoveryTree': 'Mode: tree (nested)',
+      'btn.discoveryRoot': 'Mode: root',
+      'btn.healthOn': 'Health checks: on',
+      'btn.healthOff': 'Health checks: off',
+
+      'repo.unknown': 'Unknown — add <meta name="gh-owner"> and <meta name="gh-repo">',
+
+      'rate.tokenSet': 'API: token set',
+      'rate.exhausted': 'API: limit reached — paused until {time}',
+      'rate.quota': 'API: {remaining}/{limit}',
+      'rate.reset': ' · resets at {time}',
+      'rate.token': ' · token',
+      'token.placeholderSet': 'token set',
+      'token.placeholder': 'ghp_… / github_pat_…',
+
+      'card.open': 'Open {name}',
+      'card.folder': 'Folder',
+      'card.pinned': 'Pinned',
+      'card.preview': 'Preview',
+      'card.recent': 'Updated',
+      'card.recentTitle': {
+        one: 'Changed in the last {count} day',
+        other: 'Changed in the last {count} days'
+      },
+      'card.source': 'Source',
+      'card.sourceTitle': 'Source of {name} on GitHub',
+      'card.origin': 'From the {repo} repository',
+
+      'health.checking': 'Checking the page…',
+      'health.ok': {
+        one: 'Page opens, {count} reference is fine',
+        other: 'Page opens, {count} references are fine'
+      },
+      'health.broken': {
+        one: '{count} broken reference',
+        other: '{count} broken references'
+      },
+      'health.pageError': 'index.html does not open (HTTP {status})',
+      'health.networkError': 'network error',
+      'health.kind.stylesheet': 'stylesheet',
+      'health.kind.script': 'script',
+      'health.kind.image': 'image',
+      'health.kind.icon': 'icon',
+      'health.kind.media': 'media',
+      'health.kind.link': 'link',
+
+      'diag.title': 'Scan diagnostics',
+      'diag.none': 'No scan has run yet.',
+      'diag.export': 'Export JSON',
+      'diag.summary': 'Scan at {time}: {ms} ms, {outcome} · repository: {repo} · mode: {mode}',
+      'diag.steps': 'Steps',
+      'diag.folders': 'Folders ({count})',
+      'diag.ms': 'ms',
+      'diag.col.stage': 'Stage',
+      'diag.col.url': 'URL',
+      'diag.col.result': 'Result',
+      'diag.col.folder': 'Folder',
+      'diag.col.source': 'Source',
+      'diag.col.attempts': 'Attempts',
+      'diag.outcome.running': 'running',
+      'diag.outcome.done': 'done',
+      'diag.outcome.empty': 'nothing found',
+      'diag.outcome.offline': 'offline',
+      'diag.outcome.error': 'failed',
+      'diag.result.ok': 'yes',
+      'diag.result.miss': 'missing',
+      'diag.result.error': 'error',
+      'diag.result.aborted': 'aborted',
+      'diag.result.skipped': 'skipped',
+      'diag.result.listing': 'file listing',
+      'diag.result.page': 'page',
+      'diag.result.single': 'single card',
+      'diag.reason.no-repo': 'repository not detected',
+      'diag.reason.api-off': 'local mode',
+      'diag.reason.rate-limited': 'GitHub API rate limit',
+      'diag.reason.truncated': 'tree truncated by GitHub',
+      'diag.reason.github-found': 'folders already found via the GitHub API',
+      'diag.reason.already-found': 'folders already found',
+      'diag.reason.request-cap': 'request limit reached',
+      'diag.reason.hidden': 'hidden',
+      'diag.reason.no-index-json': 'no index.json',
+      'diag.reason.manifest-complete': 'index.json already has a title and description',
+      'diag.reason.local-found': 'local index.html found',
+      'diag.reason.empty': 'empty file',
+      'diag.cache.fresh': 'cache',
+      'diag.cache.stale': 'stale cache',
+      'diag.cache.revalidated': '304, cache',
+
+      'preview.open': 'Open',
+      'preview.close': 'Close',
+      'preview.loading': 'Loading README.md…',
+      'preview.missing': 'No README.md found.',
+
+      'grid.empty': 'No folders found.',
+      'grid.noMatch': 'Nothing matches the filter.',
+
+      'manifest.notObject': 'index.json: expected an object with "folders" / "projects"',
+      'manifest.notArray': 'index.json: "{key}" must be an array',
+      'manifest.badEntry': '{where}: expected a string or an object',
+      'manifest.badName': '{where}: missing or invalid "name"',
+      'manifest.duplicate': '{where}: duplicate "{name}"',
+      'manifest.unknownField': '{where}: unknown field "{field}"',
+      'manifest.badValue': '{where}: invalid value for "{field}"',
+      'manifest.badUrl': '{where}: "url" must be an http(s) or relative address — entry skipped',
+      'manifest.badJson': 'index.json: invalid JSON ({message})',
+      'manifest.badRepo': '{where}: expected "owner/repo" or { "repo": "owner/repo", "url": "https://…" }',
+
+      'status.tokenRejected': 'GitHub rejected the token (401) — check or remove it',
+      'status.scanning': 'Scanning folders…',
+      'status.manifestLoaded': {
+        one: 'Loaded index.json ({count} entry)',
+        other: 'Loaded index.json ({count} entries)'
+      },
+      'status.fetchingTree': 'Fetching the repository tree from the GitHub API…',
+      'status.treeFound': {
+        one: 'GitHub API (tree): found {count} page',
+        other: 'GitHub API (tree): found {count} pages'
+      },
+      'status.treeTruncated': ' — GitHub truncated the tree, the list may be incomplete',
+      'status.fetchingContents': 'Fetching the contents list from the GitHub API…',
+      'status.contentsFound': {
+        one: 'GitHub API: found {count} directory',
+        other: 'GitHub API: found {count} directories'
+      },
+      'status.rateLimited': 'GitHub API limit reached — local mode, will retry automatically',
+      'status.rateLimitedUntil': 'GitHub API limit reached until {time} — local mode, will retry automatically',
+      'status.apiUnavailable': 'GitHub API unavailable or rate limited; using local mode',
+      'status.localListing': 'Local scan: reading the server\'s directory listing…',
+      'status.listingFound': {
+        one: 'From the server\'s directory listing: {count} folder',
+        other: 'From the server\'s directory listing: {count} folders'
+      },
+      'status.localScan': 'Local scan: probing common folders and checking for index.html…',
+      'status.noneFound': 'No folders found.',
+      'status.foundFolders': {
+        one: 'Found {count} folder — fetching descriptions…',
+        other: 'Found {count} folders — fetching descriptions…'
+      },
+      'status.progress': 'Fetching descriptions… {done}/{count}',
+      'status.healthChecking': 'Checking pages and references ({count})…',
+      'status.healthDone': 'Health checks: {ok} fine, {bad} with problems',
+      'status.done': {
+        one: 'Done — showing {count} item',
+        other: 'Done — showing {count} items'
+      },
+      'status.manifestErrors': {
+        one: '; index.json: {count} error — {errors}',
+        other: '; index.json: {count} errors — {errors}'
+      },
+      'status.fetchingRepos': {
+        one: 'Loading projects from {count} other repository…',
+        other: 'Loading projects from {count} other repositories…'
+      },
+      'status.reposFailed': {
+        one: '; {count} repository failed to load — {repos}',
+        other: '; {count} repositories failed to load — {repos}'
+      },
+      'status.fromCache': 'Showing cached results — checking for updates…',
+      'status.failed': 'Scanning folders failed',
+      'status.offline': 'No network and no saved project list yet',
+      'status.offlineCached': 'Offline, showing cached data',
+
+      'catgirl.title': 'CatGirl Downloader',
+      'catgirl.settings': 'Settings',
+      'catgirl.settingsButton': 'Open settings',
+      'catgirl.theme': 'Theme',
+      'catgirl.download': 'Fetch a new catgirl!',
+      'catgirl.loading': 'Loading...',
+      'catgirl.trying': 'Looking on {provider}…',
+      'catgirl.loadFailed': 'Could not load the image',
+      'catgirl.allFailed': 'None of the sources respond right now. Please try again a bit later.',
+      'catgirl.category': 'Category',
+      'catgirl.category.neko': 'Catgirls',
+      'catgirl.category.waifu': 'Waifu',
+      'catgirl.category.kitsune': 'Kitsune',
+      'catgirl.provider': 'Source',
+      'catgirl.providerAuto': 'Auto (first available)',
+      'catgirl.via': 'Source: {provider}',
+      'catgirl.artist': 'artist: {artist}',
+      'catgirl.sourceLink': 'original',
+      'catgirl.prev': 'Previous',
+      'catgirl.next': 'Next',
+      'catgirl.favorite': 'Add to favorites',
+      'catgirl.unfavorite': 'Remove from favorites',
+      'catgirl.save': 'Save file',
+      'catgirl.saving': 'Fetching the file…',
+      'catgirl.saved': 'Saved as {filename}',
+      'catgirl.saveFailed': 'The server did not hand out the file directly — the image opened in a new tab, save it from there.',
+      'catgirl.gallery': 'Favorites ({count})',
+      'catgirl.galleryTitle': {
+        one: 'Favorites — {count} image',
+        other: 'Favorites — {count} images'
+      },
+      'catgirl.galleryEmpty': 'Nothing here yet — press ☆ under an image.',
+      'catgirl.openFavorite': 'Show',
+      'catgirl.remove': 'Remove',
+      'catgirl.close': 'Close',
+      'catgirl.export': 'Export JSON',
+      'catgirl.import': 'Import JSON',
+      'catgirl.imported': {
+        one: 'Imported {count} new image',
+        other: 'Imported {count} new images'
+      },
+      'catgirl.importFailed': 'Import failed: {message}',
+      'catgirl.favoritesFailed': 'Favorites are unavailable: {message}',
+      'catgirl.slideshowStart': 'Start slideshow',
+      'catgirl.slideshowStop': 'Stop slideshow',
+      'catgirl.interval': 'Slideshow interval',
+      'catgirl.seconds': {
+        one: '{count} second',
+        other: '{count} seconds'
+      },
+      'catgirl.keysHint': 'Space / → — next, ← — previous',
+      'catgirl.imageAlt': 'Catgirl'
+    }
+  };
+
+  const languages = Object.keys(catalogs);
+
+  function storedLang() {
+    try {
+      return win ? win.localStorage.getItem(STORAGE_KEY) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // saved choice -> first supported browser language -> Ukrainian
+  function detectLang() {
+    const saved = storedLang();
+    if (saved && catalogs[saved]) return saved;
+    const nav = (win && win.navigator && (win.navigator.languages || [win.navigator.language])) || [];
+    for (const l of nav) {
+      const code = String(l || '').slice(0, 2).toLowerCase();
+      if (catalogs[code]) return code;
+    }
+    return DEFAULT_LANG;
+  }
+
+  let lang = detectLang();
+  const pluralRules = {};
+
+  function pluralForm(forms, count) {
+    if (!pluralRules[lang]) pluralRules[lang] = new Intl.PluralRules(lang);
+    return forms[pluralRules[lang].select(count)] || forms.other || forms.one || '';
+  }
+
+  function t(key, params = {}) {
+    let msg = key in catalogs[lang] ? catalogs[lang][key] : catalogs[DEFAULT_LANG][key];
+    if (msg === undefined) return key;
+    if (typeof msg === 'object') msg = pluralForm(msg, Number(params.count) || 0);
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+  }
+
+  function apply(rootEl) {
+    if (!win) return;
+    const doc = win.document;
+    const scope = rootEl || doc;
+    doc.documentElement.setAttribute('lang', lang);
+    Array.from(scope.querySelectorAll('[data-i18n]')).forEach((node) => {
+      node.textContent = t(node.getAttribute('data-i18n'));
+    });
+    Array.from(scope.querySelectorAll('[data-i18n-attr]')).forEach((node) => {
+      node.getAttribute('data-i18n-attr').split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':').map(x => x && x.trim());
+        if (attr && key) node.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  function setLang(next, persist = true) {
+    if (!catalogs[next] || next === lang) return lang;
+    lang = next;
+    if (persist && win) {
+      try {
+        win.localStorage.setItem(STORAGE_KEY, lang);
+      } catch (_) { /* storage disabled: the choice lasts for this page only */ }
+    }
+    apply();
+    if (win) win.dispatchEvent(new win.CustomEvent('pg:langchange', { detail: { lang } }));
+    return lang;
+  }
+
+  function onChange(fn) {
+    if (win) win.addEventListener('pg:langchange', e => fn(e.detail.lang));
+  }
+
+  function bindSwitcher(select) {
+    if (!select) return;
+    select.innerHTML = '';
+    languages.forEach((code) => {
+      const opt = win.document.createElement('option');
+      opt.value = code;
+      opt.textContent = catalogs[code]['lang.name'];
+      select.appendChild(opt);
+    });
+    select.value = lang;
+    select.addEventListener('change', () => setLang(select.value));
+    onChange((l) => { select.value = l; });
+  }
+
+  if (win) {
+    // another tab (or a subproject page) switched the language
+    win.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_KEY && e.newValue && catalogs[e.newValue]) setLang(e.newValue, false);
+    });
+  }
+
+  return {
+    t,
+    apply,
+    setLang,
+    onChange,
+    bindSwitcher,
+    languages,
+    catalogs,
+    get lang() {
+      return lang;
+    }
+  };
+});
@@ -0,0 +1,285 @@
+/* Lightweight Markdown renderer used for README previews
+ *
+ * Supports: ATX/setext headings, paragraphs, emphasis, inline code, fenced code blocks,
+ * blockquotes, (nested) lists with task checkboxes, horizontal rules, links, images and
+ * autolinks. Raw HTML is never passed through: everything is escaped, and only
+ * http(s)/mailto or relative URLs survive, so the output is safe for innerHTML.
+ *
+ * Relative link/image URLs are resolved against `opts.base` (e.g. "./my-project/").
+ *
+ * Works in the browser (window.pgMarkdown) and in Node (module.exports).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.pgMarkdown = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ESCAPES[c]);
+
+  // null means "drop the URL" (javascript:, data:, ...)
+  function resolveUrl(url, base) {
+    const u = String(url || '').trim();
+    if (!u) return null;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(u)) return /^(?:https?|mailto):/i.test(u) ? u : null;
+    if (u.startsWith('#') || u.startsWith('/') || !base) return u;
+    return base.replace(/\/?$/, '/') + u.replace(/^\.\//, '');
+  }
+
+  /* ---------------------------
+     Inline
+  --------------------------- */
+
+  // 1-2: code span, 3-4: image, 5-6: link, 7: autolink, 8-9: strong, 10-11: emphasis
+  const INLINE_SRC = [
+    '(`+)([\\s\\S]+?)\\1',
+    '!\\[([^\\]]*)\\]\\(\\s*<?([^)\\s>]+)>?(?:\\s+"[^"]*")?\\s*\\)',
+    '\\[((?:[^\\[\\]]|\\[[^\\]]*\\])*)\\]\\(\\s*<?([^)\\s>]+)>?(?:\\s+"[^"]*")?\\s*\\)',
+    '<((?:https?:\\/\\/|mailto:)[^>\\s]+)>',
+    '(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\8',
+    '(\\*|_)(?=\\S)([\\s\\S]*?\\S)\\10'
+  ].join('|');
+
+  function renderInline(text, base) {
+    const re = new RegExp(INLINE_SRC, 'g');
+    let out = '';
+    let last = 0;
+    let m;
+    while ((m = re.exec(text))) {
+      const start = m.index;
+      // snake_case_words are not emphasis
+      if ((m[8] === '__' || m[10] === '_') && start > 0 && /\w/.test(text[start - 1])) {
+        re.lastIndex = start + 1;
+        continue;
+      }
+      out += escapeHtml(text.slice(last, start));
+      if (m[1]) {
+        out += `<code>${escapeHtml(m[2].trim())}</code>`;
+      } else if (m[4] !== undefined) {
+        const src = resolveUrl(m[4], base);
+        out += src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(m[3])}" loading="lazy">` : escapeHtml(m[3]);
+      } else if (m[6] !== undefined) {
+        const href = resolveUrl(m[6], base);
+        const inner = renderInline(m[5], base);
+        out += href ? linkTag(href, inner) : inner;
+      } else if (m[7]) {
+        out += linkTag(m[7], escapeHtml(m[7]));
+      } else if (m[8]) {
+        out += `<strong>${renderInline(m[9], base)}</strong>`;
+      } else if (m[10]) {
+        out += `<em>${renderInline(m[11], base)}</em>`;
+      }
+      last = re.lastIndex;
+    }
+    return out + escapeHtml(text.slice(last));
+  }
+
+  function linkTag(href, inner) {
+    const external = /^https?:/i.test(href);
+    return `<a href="${escapeHtml(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${inner}</a>`;
+  }
+
+  /* ---------------------------
+     Blocks
+  --------------------------- */
+
+  const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+  const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const HR = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const QUOTE = /^\s{0,3}>\s?/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+  const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+  function renderBlocks(lines, base) {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      let m = line.match(FENCE);
+      if (m) {
+        const fence = m[1];
+        const body = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence)) body.push(lines[i++]);
+        i++; // closing fence (or end of input)
+        const cls = m[2] ? ` class="language-${escapeHtml(m[2])}"` : '';
+        out.push(`<pre><code${cls}>${escapeHtml(body.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      m = line.match(HEADING);
+      if (m) {
+        out.push(`<h${m[1].length}>${renderInline(m[2], base)}</h${m[1].length}>`);
+        i++;
+        continue;
+      }
+
+      if (HR.test(line)) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        const body = [];
+        while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !isBlockStart(lines[i]))) {
+          body.push(lines[i++].replace(QUOTE, ''));
+        }
+        out.push(`<blockquote>${renderBlocks(body, base)}</blockquote>`);
+        continue;
+      }
+
+      m = line.match(LIST_ITEM);
+      if (m) {
+        i = renderList(lines, i, base, out);
+        continue;
+      }
+
+      // paragraph (or setext heading)
+      const para = [];
+      while (i < lines.length && lines[i].trim() && !(para.length && isBlockStart(lines[i]))) {
+        if (para.length && /^\s{0,3}(=+|-+)\s*$/.test(lines[i])) break;
+        para.push(lines[i++].trim());
+      }
+      const setext = i < lines.length && para.length ? lines[i].match(/^\s{0,3}(=+|-+)\s*$/) : null;
+      if (setext) {
+        const level = setext[1][0] === '=' ? 1 : 2;
+        out.push(`<h${level}>${renderInline(para.join(' '), base)}</h${level}>`);
+        i++;
+      } else {
+        out.push(`<p>${renderInline(para.join('\n'), base)}</p>`);
+      }
+    }
+    return out.join('\n');
+  }
+
+  // Consumes one list starting at lines[start]; returns the index after it.
+  function renderList(lines, start, base, out) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const m = lines[i].match(LIST_ITEM);
+      if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+      const contentIndent = m[1].length + m[2].length + 1;
+      const body = [m[3]];
+      i++;
+      while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+          // a blank line continues the item only if indented content follows
+          let j = i + 1;
+          while (j < lines.length && !lines[j].trim()) j++;
+          if (j < lines.length && indentOf(lines[j]) >= contentIndent) {
+            loose = true;
+            for (; i < j; i++) body.push('');
+            continue;
+          }
+          break;
+        }
+        if (indentOf(line) >= contentIndent) body.push(line.slice(Math.min(contentIndent, indentOf(line))));
+        else if (!isBlockStart(line)) body.push(line.trim()); // lazy continuation
+        else break;
+        i++;
+      }
+      items.push(body);
+      // blank line between items makes the list loose, but still the same list
+      let j = i;
+      while (j < lines.length && !lines[j].trim()) j++;
+      const next = j < lines.length ? lines[j].match(LIST_ITEM) : null;
+      if (j > i && next && next[1].length === indent && /\d/.test(next[2]) === ordered) {
+        loose = true;
+        i = j;
+      }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+    const html = items.map((body) => {
+      const task = body[0].match(/^\[([ xX])\]\s+(.*)$/);
+      if (task) body[0] = `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}`;
+      let inner = renderBlocks(body, base);
+      if (!loose) inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+      return `<li>${inner}</li>`;
+    });
+    out.push(`<${tag}${startAttr}>\n${html.join('\n')}\n</${tag}>`);
+    return i;
+  }
+
+  function normalize(md) {
+    return String(md || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, '    ')
+      .replace(/<!--[\s\S]*?-->/g, '');
+  }
+
+  function render(md, opts = {}) {
+    return renderBlocks(normalize(md).split('\n'), opts.base || '');
+  }
+
+  /* ---------------------------
+     Plain text
+  --------------------------- */
+
+  // Strip markdown syntax from one block of text.
+  function stripInline(text) {
+    return text
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[((?:[^[\]]|\[[^\]]*\])*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, '$1')
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/`+([^`]+)`+/g, '$1')
+      .replace(/(\*\*|__)(\S[\s\S]*?\S|\S)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_](\S[\s\S]*?\S|\S)[*_](?![\w*])/g, '$1$2')
+      .replace(/^\s{0,3}(=+|-+)\s*$/gm, '')
+      .replace(/^\s{0,3}(#{1,6}\s+|>\s?|[-*+]\s+(\[[ xX]\]\s+)?|\d{1,9}[.)]\s+)/gm, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function withoutCode(md) {
+    return normalize(md).replace(/^\s{0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\s{0,3}\1[^\n]*$|(?![\s\S]))/gm, '');
+  }
+
+  function toPlainText(md) {
+    return withoutCode(md)
+      .split(/\n\s*\n/)
+      .filter(b => !HR.test(b.trim()))
+      .map(stripInline)
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // First real paragraph as plain text (skips headings, badges, rules and code).
+  function excerpt(md, max = 300) {
+    const blocks = withoutCode(md).split(/\n\s*\n/);
+    for (const block of blocks) {
+      const trimmed = block.trim();
+      if (!trimmed || HR.test(trimmed) || /^\s{0,3}#/.test(trimmed)) continue;
+      if (/^[^\n]+\n\s{0,3}(=+|-+)\s*$/.test(trimmed)) continue; // setext heading
+      const text = stripInline(trimmed);
+      if (!text) continue;
+      if (text.length <= max) return text;
+      const cut = text.slice(0, max);
+      const space = cut.lastIndexOf(' ');
+      return `${(space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '')}…`;
+    }
+    return '';
+  }
+
+  return { render, toPlainText, excerpt, escapeHtml, resolveUrl };
+});
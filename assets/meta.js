@@ -0,0 +1,129 @@
+/* Page metadata extractor shared by the local and GitHub discovery paths
+ *
+ * Reads a parsed HTML document (DOMParser in the browser) instead of regex-scraping, so
+ * attribute order, quote style, entities and nested tags don't matter.
+ *
+ * Result: { title, desc, image, icon, themeColor, lang }
+ *   title      og:title -> <title> -> first <h1>
+ *   desc       meta description -> og:description -> first <p> with some real text
+ *   image      og:image -> twitter:image
+ *   icon       <link rel="icon"> -> <link rel="apple-touch-icon">
+ *   themeColor <meta name="theme-color">
+ *   lang       <html lang>
+ * Relative URLs are resolved against `base` (the project folder, e.g. "./my-project/").
+ *
+ * references(doc) lists the files a page pulls in or links to, unresolved:
+ *   [{ kind: 'stylesheet' | 'script' | 'image' | 'icon' | 'media' | 'link', url }]
+ * (used by the health checks to look for broken references).
+ *
+ * Works in the browser (window.pgMeta) and in Node (module.exports) given a Document-like
+ * object with querySelector/querySelectorAll.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.pgMeta = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+  function truncate(text, max) {
+    if (text.length <= max) return text;
+    const cut = text.slice(0, max);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '')}…`;
+  }
+
+  // '' means "unusable URL" (javascript:, file:, ...)
+  function resolve(url, base) {
+    const u = clean(url);
+    if (!u) return '';
+    if (/^(?:https?:)?\/\//i.test(u) || /^data:image\//i.test(u)) return u;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(u)) return '';
+    if (u.startsWith('/') || !base) return u;
+    return base.replace(/\/?$/, '/') + u.replace(/^\.\//, '');
+  }
+
+  // name/property -> content, keys lowercased (first occurrence wins)
+  function metaMap(doc) {
+    const map = {};
+    Array.from(doc.querySelectorAll('meta')).forEach((m) => {
+      const key = (m.getAttribute('property') || m.getAttribute('name') || '').trim().toLowerCase();
+      const content = m.getAttribute('content');
+      if (key && content != null && !(key in map)) map[key] = clean(content);
+    });
+    return map;
+  }
+
+  const first = (...values) => values.find(Boolean) || '';
+
+  function relTokens(link) {
+    return (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+  }
+
+  function findIcon(doc) {
+    const links = Array.from(doc.querySelectorAll('link[rel][href]'));
+    const icon = links.find(l => relTokens(l).includes('icon'))
+      || links.find(l => relTokens(l).includes('apple-touch-icon'));
+    return icon ? icon.getAttribute('href') : '';
+  }
+
+  function firstParagraph(doc) {
+    for (const p of Array.from(doc.querySelectorAll('p'))) {
+      const text = clean(p.textContent);
+      if (text.length >= 20) return truncate(text, 300);
+    }
+    return '';
+  }
+
+  function extract(doc, base) {
+    const meta = metaMap(doc);
+    const titleEl = doc.querySelector('title');
+    const h1 = doc.querySelector('h1');
+    const html = doc.documentElement;
+    return {
+      title: first(meta['og:title'], titleEl && clean(titleEl.textContent), h1 && clean(h1.textContent)) || null,
+      desc: first(meta.description, meta['og:description'], firstParagraph(doc)),
+      image: resolve(first(meta['og:image'], meta['og:image:url'], meta['twitter:image']), base),
+      icon: resolve(findIcon(doc), base),
+      themeColor: meta['theme-color'] || '',
+      lang: (html && html.getAttribute('lang')) || ''
+    };
+  }
+
+  const REFERENCE_SOURCES = [
+    ['link[href]', 'href', (l) => {
+      const rel = relTokens(l);
+      if (rel.includes('stylesheet')) return 'stylesheet';
+      if (rel.includes('icon') || rel.includes('apple-touch-icon')) return 'icon';
+      return rel.includes('manifest') ? 'link' : null;
+    }],
+    ['script[src]', 'src', () => 'script'],
+    ['img[src]', 'src', () => 'image'],
+    ['video[src], audio[src], source[src], video[poster]', 'src', () => 'media'],
+    ['a[href]', 'href', () => 'link']
+  ];
+
+  function references(doc) {
+    const out = [];
+    REFERENCE_SOURCES.forEach(([selector, attr, kindOf]) => {
+      Array.from(doc.querySelectorAll(selector)).forEach((node) => {
+        const kind = kindOf(node);
+        const url = clean(node.getAttribute(attr) || (attr === 'src' && node.getAttribute('poster')));
+        if (!kind || !url || url.startsWith('#')) return;
+        out.push({ kind, url });
+      });
+    });
+    return out;
+  }
+
+  // Browser convenience: parse and extract in one go. Parsing with DOMParser doesn't run
+  // scripts or load subresources.
+  function fromHtml(html, base) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    return extract(doc, base);
+  }
+
+  return { extract, fromHtml, resolve, references };
+});
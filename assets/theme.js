@@ -0,0 +1,138 @@
+/* Theme engine shared by the portfolio and its subprojects
+ *
+ * Preferences (stored under one key, "pg-theme"):
+ *   system      follow prefers-color-scheme (and its live changes)
+ *   dark, light gruvbox medium contrast
+ *   dark-hard, dark-soft, light-hard, light-soft   other gruvbox contrasts
+ *
+ * The resolved theme is written to <html> as data-theme="dark-hard" plus
+ * data-scheme="dark|light", so stylesheets only need attribute selectors:
+ *   :root[data-scheme="light"] { ... }   :root[data-theme="dark-hard"] { ... }
+ *
+ * Load it synchronously in <head> (no defer) so the first paint already has the right
+ * colors. Changes made in another tab or page arrive through the storage event.
+ *
+ * API (window.pgTheme): get(), resolved(), set(pref), toggle(), themes,
+ * onChange(fn), bindSwitcher(select, labelFn) -> refreshLabels().
+ */
+
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'pg-theme';
+  const DEFAULT_PREF = 'system';
+  const themes = ['system', 'dark', 'light', 'dark-hard', 'dark-soft', 'light-hard', 'light-soft'];
+  const root = document.documentElement;
+  const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+  function read() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function write(pref) {
+    try {
+      localStorage.setItem(STORAGE_KEY, pref);
+    } catch (_) { /* storage disabled: the choice lasts for this page only */ }
+  }
+
+  // One-time migration from the old per-page keys ("site-theme" on the portfolio,
+  // "darkTheme" in IWantSomeCatGirls).
+  function migrate() {
+    try {
+      if (read()) return;
+      const site = localStorage.getItem('site-theme');
+      const cat = localStorage.getItem('darkTheme');
+      let pref = null;
+      if (site === 'dark' || site === 'light') pref = site;
+      else if (cat === 'true') pref = 'dark';
+      else if (cat === 'false') pref = 'light';
+      if (pref) write(pref);
+      localStorage.removeItem('site-theme');
+      localStorage.removeItem('darkTheme');
+    } catch (_) { /* ignore */ }
+  }
+
+  migrate();
+  let pref = themes.includes(read()) ? read() : DEFAULT_PREF;
+
+  function resolved() {
+    if (pref !== 'system') return pref;
+    return media && !media.matches ? 'light' : 'dark';
+  }
+
+  const schemeOf = (theme) => (theme.startsWith('light') ? 'light' : 'dark');
+
+  function apply() {
+    const theme = resolved();
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-scheme', schemeOf(theme));
+    root.style.colorScheme = schemeOf(theme);
+    window.dispatchEvent(new CustomEvent('pg:themechange', { detail: { pref, theme } }));
+  }
+
+  function set(next, persist = true) {
+    if (!themes.includes(next)) return pref;
+    pref = next;
+    if (persist) write(pref);
+    apply();
+    return pref;
+  }
+
+  // Flip dark <-> light, keeping the contrast variant ("dark-hard" -> "light-hard").
+  function toggle() {
+    const theme = resolved();
+    const flipped = theme.startsWith('dark') ? theme.replace('dark', 'light') : theme.replace('light', 'dark');
+    return set(flipped);
+  }
+
+  function onChange(fn) {
+    window.addEventListener('pg:themechange', e => fn(e.detail));
+  }
+
+  function bindSwitcher(select, labelFn = t => t) {
+    if (!select) return () => {};
+    const fill = () => {
+      select.innerHTML = '';
+      themes.forEach((name) => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = labelFn(name);
+        select.appendChild(opt);
+      });
+      select.value = pref;
+    };
+    fill();
+    select.addEventListener('change', () => set(select.value));
+    onChange(() => { select.value = pref; });
+    // labels may be translated: the caller re-runs this after a language change
+    return fill;
+  }
+
+  if (media) {
+    const onSystemChange = () => {
+      if (pref === 'system') apply();
+    };
+    if (media.addEventListener) media.addEventListener('change', onSystemChange);
+    else if (media.addListener) media.addListener(onSystemChange);
+  }
+
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY && themes.includes(e.newValue)) set(e.newValue, false);
+  });
+
+  apply();
+
+  window.pgTheme = {
+    get: () => pref,
+    resolved,
+    set,
+    toggle,
+    onChange,
+    bindSwitcher,
+    themes
+  };
+})();
@@ -2,24 +2,44 @@
  *
  * Responsibilities:
  * - Determine GitHub owner/repo (meta tags, hostname, pathname heuristics)
- * - Scan repository root for folders (prefer GitHub API; fallback to local probes and index.json)
- * - For each folder, attempt to extract a friendly title/description from local index.html or GitHub contents
- * - Render project cards into the page and expose a small debug API on window.pg
+ * - Scan repository root for folders (prefer GitHub API; fallback to local probes) and merge index.json
+ * - Resolve folders with limited concurrency, per-request timeouts and cancellation of a
+ *   superseded scan; cards render as placeholders and fill in progressively
+ * - For each folder, extract title/description/Open Graph image/favicon from local index.html
+ *   or GitHub contents (assets/meta.js)
+ * - Cache GitHub responses and the last scan in localStorage (TTL + ETag revalidation)
+ * - Render project cards into the page (README.md preview via assets/markdown.js), hydrating
+ *   the ones prerendered by scripts/build-index.js
+ *   and expose a small debug API on window.pg
  *
  * Notes:
  * - Designed to be defensive: it tolerates missing DOM nodes and failing network calls.
- * - Avoids storing or exposing any secrets. For private repos you'd need a server-side proxy.
+ * - Avoids storing or exposing any secrets. An opt-in token is kept in sessionStorage only and
+ *   never rendered; for anything beyond that you'd need a server-side proxy.
  *
  * Expected DOM elements (optional; script won't crash if they're missing):
  * - #projects               -> container where project cards are rendered
  * - #refresh-btn            -> button to trigger a manual rescan
- * - #theme-btn              -> toggle light/dark (script stores preference in localStorage)
+ * - #theme-btn              -> toggle light/dark (assets/theme.js stores the preference)
+ * - #theme-select           -> every theme variant incl. "system"
  * - #repo-info              -> small area to show detected owner/repo
  * - #status                 -> small status text area
  * - #show-hidden-btn        -> button to toggle showing hidden names
  * - #use-api-btn            -> button to toggle whether to prefer GitHub API
+ * - #discovery-btn          -> button to switch root listing / recursive tree discovery
+ * - #health-btn             -> toggle health checks (broken index.html / referenced files per card)
+ * - #diagnostics-btn        -> show/hide the scan diagnostics panel (#diagnostics, created if missing)
+ * - #token-form, #token-input, #token-clear-btn -> optional GitHub token (sessionStorage only)
+ * - #rate-limit             -> remaining API quota and reset time (created next to #repo-info)
+ * - #search-input           -> fuzzy search over name/title/description
+ * - #sort-select            -> sort mode: pinned | name | updated
+ * - #tag-filter             -> container for tag chips
+ * - [data-feed]             -> download the current list as Atom / JSON Feed / sitemap.xml
  *
- * Internationalization: messages are in Ukrainian to match the site.
+ * - #lang-select            -> language switcher (assets/i18n.js)
+ *
+ * Internationalization: every message comes from the shared catalog in assets/i18n.js
+ * (Ukrainian by default, English available); static markup uses data-i18n attributes.
  */
 
 (function () {
@@ -32,6 +52,10 @@
   const elAll = (selector) => Array.from(document.querySelectorAll(selector));
   const safeText = (s) => (typeof s === 'string' ? s : '');
 
+  // Message catalog (assets/i18n.js); the fallback keeps the page usable without it.
+  const i18n = window.pgI18n || { t: k => k, lang: 'uk', apply() {}, setLang() {}, onChange() {}, bindSwitcher() {} };
+  const t = i18n.t;
+
   function setText(node, txt) {
     if (!node) return;
     node.textContent = txt;
@@ -53,6 +77,16 @@
     return d;
   }
 
+  // Save generated text as a file (diagnostics report, feeds).
+  function downloadFile(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = createEl('a', { href: url, download: name });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   function maybeDecodeName(n) {
     try {
       return decodeURIComponent(n);
@@ -71,6 +105,27 @@
   const statusEl = el('#status');
   const showHiddenBtn = el('#show-hidden-btn');
   const useApiBtn = el('#use-api-btn');
+  const discoveryBtn = el('#discovery-btn');
+  const healthBtn = el('#health-btn');
+  const diagnosticsBtn = el('#diagnostics-btn');
+  const langSelect = el('#lang-select');
+  const themeSelect = el('#theme-select');
+  const tokenForm = el('#token-form');
+  const tokenInput = el('#token-input');
+  const tokenClearBtn = el('#token-clear-btn');
+  const rateLimitEl = el('#rate-limit') || createRateLimitEl();
+  const searchInput = el('#search-input');
+  const sortSelect = el('#sort-select');
+  const tagFilterEl = el('#tag-filter');
+
+  // quota indicator lives right under #repo-info
+  function createRateLimitEl() {
+    const info = el('#repo-info');
+    if (!info || !info.parentNode) return null;
+    const node = createEl('div', { id: 'rate-limit', class: 'small muted' });
+    info.parentNode.insertBefore(node, info.nextSibling);
+    return node;
+  }
 
   // helper: when index.html didn't include a container we create one at top of main
   function createAndAttachProjects() {
@@ -85,10 +140,25 @@
   --------------------------- */
   let showHidden = false;
   let preferApi = true;
+  // 'contents': top-level folders via /contents/; 'tree': nested projects via one Git Trees call
+  const DISCOVERY_KEY = 'pg-discovery';
+  const metaDiscovery = document.querySelector('meta[name="pg-discovery"]');
+  let discoveryMode = localStorage.getItem(DISCOVERY_KEY) || (metaDiscovery && metaDiscovery.content) || 'contents';
+  if (discoveryMode !== 'tree') discoveryMode = 'contents';
+
+  // last scan result and the current search/filter/sort view (mirrored in the query string)
+  let allProjects = [];
+  const view = { q: '', tags: [], sort: 'pinned' };
+  const SORT_MODES = ['pinned', 'name', 'updated'];
 
   // hidden names to exclude by default
   const defaultHidden = ['.github', '.git', 'node_modules', 'scripts', 'assets'];
 
+  // nested paths are hidden when any segment is ("assets/demo" stays out)
+  function isDefaultHidden(name) {
+    return name.split('/').some(seg => defaultHidden.includes(seg));
+  }
+
   /* ---------------------------
      Repo detection
   --------------------------- */
@@ -120,13 +190,15 @@
   }
 
   const detectedRepo = detectRepo();
-  if (repoInfoEl) {
+  function renderRepoInfo() {
+    if (!repoInfoEl) return;
     if (detectedRepo) {
       repoInfoEl.textContent = `${detectedRepo.owner} / ${detectedRepo.repo} (${detectedRepo.source})`;
     } else {
-      repoInfoEl.textContent = 'Невизначено — додайте <meta name=\"gh-owner\"> і <meta name=\"gh-repo\">';
+      repoInfoEl.textContent = t('repo.unknown');
     }
   }
+  renderRepoInfo();
 
   /* ---------------------------
      Network helpers
@@ -139,335 +211,2511 @@
     return res.text();
   }
 
+  // Scan tuning: how many folders resolve in parallel and how long one request may take.
+  const scanOptions = { concurrency: 4, timeout: 10000 };
+
+  function abortError() {
+    const err = new Error('Scan superseded');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw abortError();
+  }
+
+  // fetch() tied to an optional outer AbortSignal (the scan) plus a per-request timeout.
+  async function fetchWithTimeout(url, opts = {}, signal = null) {
+    throwIfAborted(signal);
+    const ctrl = new AbortController();
+    const onAbort = () => ctrl.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ctrl.abort();
+    }, scanOptions.timeout);
+    try {
+      return await fetch(url, Object.assign({}, opts, { signal: ctrl.signal }));
+    } catch (err) {
+      if (timedOut) throw new Error(`Timeout after ${scanOptions.timeout} ms: ${url}`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Run `worker` over `items` with at most `limit` in flight; stops picking new items once
+  // `signal` aborts.
+  async function runLimited(items, limit, worker, signal = null) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+      while (next < items.length) {
+        throwIfAborted(signal);
+        const i = next++;
+        await worker(items[i], i);
+      }
+    });
+    await Promise.all(lanes);
+  }
+
   /* ---------------------------
-     Content discovery helpers
+     Scan diagnostics
   --------------------------- */
 
-  // Try to fetch local index.html and scrape title & meta description.
-  async function fetchLocalIndex(folder) {
-    const url = `./${encodeURIComponent(folder)}/index.html`;
-    try {
-      const res = await fetch(url, { cache: 'no-cache' });
-      if (!res.ok) throw new Error('no-local');
-      const text = await res.text();
-      const titleMatch = text.match(/<title[^>]*>([^<]+)<\/title>/i);
-      const descMatch = text.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i);
-      const title = titleMatch ? titleMatch[1].trim() : null;
-      const desc = descMatch ? descMatch[1].trim() : null;
-
-      // fallback: try first paragraph
-      let firstParagraph = null;
-      try {
-        const pMatch = text.match(/<p[^>]*>([\s\S]{20,400}?)<\/p>/i);
-        if (pMatch) firstParagraph = pMatch[1].replace(/<[^>]+>/g, '').trim();
-      } catch (_) { /* ignore */ }
+  // Every scan writes a report of what it tried (#diagnostics-btn, window.pg.diagnostics()):
+  //   steps   - discovery requests and decisions: { stage, url, status, cache, ms, result, reason, count, error }
+  //   folders - { name, source, ms, attempts: [{ source, url, status, cache, ms, result, reason }] }
+  // A folder's `source` is what filled its card: index.json | repo | plugin | local | github | name.
+  // Results and reasons are codes (diag.* in assets/i18n.js), so an exported report reads
+  // the same whatever the page language was.
+  const DIAG_KEY = 'pg-diagnostics';
+  let diagnosticsOpen = localStorage.getItem(DIAG_KEY) === '1';
+  let diagReport = null;
+  let diagSignal = null; // scan the report belongs to; a superseded scan's late requests are dropped
+  let diagT0 = 0;
+  let diagRenderTimer = null;
 
-      return {
-        title: title || maybeDecodeName(folder),
-        desc: desc || firstParagraph || ''
-      };
+  function diagStart(opts) {
+    diagSignal = opts.signal || null;
+    diagT0 = performance.now();
+    diagReport = {
+      startedAt: new Date().toISOString(),
+      ms: null,
+      outcome: 'running',
+      page: window.location.href,
+      repo: detectedRepo ? `${detectedRepo.owner}/${detectedRepo.repo}` : null,
+      repoSource: detectedRepo ? detectedRepo.source : null,
+      mode: discoveryMode,
+      preferApi,
+      showHidden,
+      revalidate: !!opts.revalidate,
+      online: navigator.onLine !== false,
+      scanOptions: Object.assign({}, scanOptions),
+      steps: [],
+      folders: []
+    };
+    diagChanged();
+  }
+
+  // outcome: done | empty | offline | error
+  function diagFinish(signal, outcome, extra = {}) {
+    if (!diagReport || signal !== diagSignal) return;
+    Object.assign(diagReport, extra, { outcome, ms: Math.round(performance.now() - diagT0) });
+    diagChanged();
+  }
+
+  // steps of the running scan, or null for requests outside it
+  function diagSteps(signal) {
+    return diagReport && signal && signal === diagSignal ? diagReport.steps : null;
+  }
+
+  function diagSkip(signal, stage, reason, extra = {}) {
+    const steps = diagSteps(signal);
+    if (!steps) return;
+    steps.push(Object.assign({ stage, result: 'skipped', reason }, extra));
+    diagChanged();
+  }
+
+  // Per-folder record; only attached to the report while its scan is current.
+  function diagFolder(signal, name) {
+    const record = { name, source: null, ms: null, attempts: [] };
+    if (diagSteps(signal)) diagReport.folders.push(record);
+    return record;
+  }
+
+  // Run one request for the report: `step` is appended to `list` and gets the HTTP status
+  // (of a Response, a cache entry, or set by `run` itself), the duration and the error, if
+  // any. Without a list it just runs the request.
+  async function traced(list, step, run) {
+    if (!list) return run(step);
+    list.push(step);
+    const t0 = performance.now();
+    try {
+      const res = await run(step);
+      if (res && typeof res.status === 'number') step.status = res.status;
+      if (!step.result && step.status) step.result = step.status < 400 ? 'ok' : 'miss';
+      return res;
     } catch (err) {
-      return null;
+      step.result = err.name === 'AbortError' ? 'aborted' : 'error';
+      step.error = err.message;
+      if (err.rateLimited) step.reason = 'rate-limited';
+      throw err;
+    } finally {
+      step.ms = Math.round(performance.now() - t0);
+      diagChanged();
     }
   }
 
-  // Use GitHub API to read README.md or index.html in a folder.
-  async function fetchFromGitHub(owner, repo, folder) {
-    const acceptRaw = { Accept: 'application/vnd.github.v3.raw' };
-    const candidates = [`${folder}/README.md`, `${folder}/readme.md`, `${folder}/index.html`];
+  const absoluteUrl = u => new URL(u, window.location.href).href;
 
-    for (const path of candidates) {
-      const url = `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodeURIComponent(path)}`;
-      try {
-        const res = await fetch(url, { headers: acceptRaw });
-        if (!res.ok) {
-          // 404 => try next; rate-limit or other errors bubble out after trying all
-          if (res.status === 404) continue;
-          // For other statuses we throw to allow fallback logic in caller
-          throw new Error(`GitHub API ${res.status}`);
-        }
+  // window.pg.diagnostics(): a plain copy of the last report plus the state around it
+  function diagnosticsSnapshot() {
+    if (!diagReport) return null;
+    return Object.assign(JSON.parse(JSON.stringify(diagReport)), {
+      lang: i18n.lang,
+      token: !!githubToken(),
+      rateLimit: Object.assign({ limitedUntil: rateLimitedUntil() || null }, rateLimit),
+      cacheStats: Object.assign({}, cacheStats),
+      userAgent: navigator.userAgent
+    });
+  }
 
-        // For raw accept header, GitHub returns raw file content as text
-        const text = await res.text();
-        if (!text) continue;
-
-        if (path.endsWith('.html')) {
-          const titleMatch = text.match(/<title[^>]*>([^<]+)<\/title>/i);
-          const pMatch = text.match(/<p[^>]*>([\s\S]{20,400}?)<\/p>/i);
-          return {
-            title: titleMatch ? titleMatch[1].trim() : maybeDecodeName(folder),
-            desc: pMatch ? pMatch[1].replace(/<[^>]+>/g, '').trim() : ''
-          };
-        } else {
-          // markdown: take first non-empty paragraph
-          const md = text.replace(/\r/g, '');
-          const paragraphs = md.split(/\n{2,}/).map(s => s.trim()).filter(Boolean);
-          const first = paragraphs.length ? paragraphs[0].replace(/\n/g, ' ') : '';
-          return {
-            title: maybeDecodeName(folder),
-            desc: first.substring(0, 300)
-          };
-        }
-      } catch (err) {
-        // bubble the error so caller can decide (rate-limit, CORS, network)
-        throw err;
-      }
+  function exportDiagnostics() {
+    const report = diagnosticsSnapshot();
+    if (!report) return;
+    downloadFile(`pg-diagnostics-${report.startedAt.replace(/[:.]/g, '-')}.json`, JSON.stringify(report, null, 2), 'application/json');
+  }
+
+  // The panel lives under the grid (#diagnostics); created there when the page lacks it.
+  function diagnosticsPanel() {
+    let panel = el('#diagnostics');
+    if (!panel && projectsEl) {
+      const section = projectsEl.closest('section') || projectsEl;
+      panel = createEl('section', { id: 'diagnostics', class: 'card diagnostics', 'aria-labelledby': 'diagnostics-title' });
+      section.parentNode.insertBefore(panel, section.nextSibling);
     }
-    return null;
+    return panel;
   }
 
-  /* ---------------------------
-     Rendering helpers
-  --------------------------- */
+  function setDiagnosticsOpen(on) {
+    diagnosticsOpen = !!on;
+    localStorage.setItem(DIAG_KEY, diagnosticsOpen ? '1' : '0');
+    renderButtonLabels();
+    renderDiagnostics();
+  }
 
-  function projectCard({ name, title, desc }) {
-    const anchor = createEl('a', { class: 'card link', href: `./${encodeURIComponent(name)}/` });
-    anchor.setAttribute('aria-label', `Відкрити ${name}`);
+  // Coalesces the updates of a running scan into one render every 200 ms.
+  function diagChanged() {
+    if (!diagnosticsOpen || diagRenderTimer) return;
+    diagRenderTimer = setTimeout(() => {
+      diagRenderTimer = null;
+      renderDiagnostics();
+    }, 200);
+  }
 
-    const h = createEl('h3', { text: title || name });
-    const p = createEl('p', { text: desc || '' });
-    const meta = createEl('div', { class: 'meta' }, [
-      createEl('span', { class: 'pill', text: 'Папка' }),
-      createEl('span', { class: 'small muted', text: name })
-    ]);
+  function diagResult(r) {
+    let text = r.result ? t(`diag.result.${r.result}`) : '…';
+    if (r.reason) text += ` — ${t(`diag.reason.${r.reason}`)}`;
+    if (r.count !== undefined) text += ` (${r.count})`;
+    if (r.error) text += `: ${r.error}`;
+    return text;
+  }
 
-    anchor.appendChild(h);
-    if (desc) anchor.appendChild(p);
-    anchor.appendChild(meta);
-    return anchor;
+  function diagStatus(r) {
+    if (!r.status) return '';
+    return r.cache && r.cache !== 'network' ? `${r.status} (${t(`diag.cache.${r.cache}`)})` : String(r.status);
   }
 
-  function clearProjects() {
-    if (!projectsEl) return;
-    projectsEl.innerHTML = '';
+  function diagTable(head, rows) {
+    return createEl('div', { class: 'diagnostics-scroll' }, createEl('table', { class: 'diagnostics-table' }, [
+      createEl('thead', {}, createEl('tr', {}, head.map(h => createEl('th', { scope: 'col', text: h })))),
+      createEl('tbody', {}, rows.map(cells => createEl('tr', {}, cells.map(c => createEl('td', {}, c)))))
+    ]));
   }
 
-  function renderProjects(items) {
-    clearProjects();
-    if (!projectsEl) return;
-    if (!items.length) {
-      projectsEl.appendChild(createEl('div', { class: 'muted', text: 'Папок не знайдено.' }));
+  function renderDiagnostics() {
+    if (!diagnosticsOpen) {
+      if (el('#diagnostics')) el('#diagnostics').hidden = true;
+      return;
+    }
+    const panel = diagnosticsPanel();
+    if (!panel) return;
+    panel.hidden = false;
+    const hadFocus = panel.contains(document.activeElement);
+    panel.innerHTML = '';
+
+    const exportBtn = createEl('button', { type: 'button', class: 'btn ghost small', text: t('diag.export') });
+    exportBtn.disabled = !diagReport;
+    exportBtn.addEventListener('click', exportDiagnostics);
+    panel.appendChild(createEl('div', { class: 'diagnostics-head' }, [
+      createEl('h2', { id: 'diagnostics-title', text: t('diag.title') }),
+      exportBtn
+    ]));
+    if (hadFocus && !exportBtn.disabled) exportBtn.focus();
+    if (!diagReport) {
+      panel.appendChild(createEl('p', { class: 'muted', text: t('diag.none') }));
       return;
     }
-    items.forEach(it => projectsEl.appendChild(projectCard(it)));
+
+    const r = diagReport;
+    panel.appendChild(createEl('p', { class: 'small muted', text: t('diag.summary', {
+      time: new Date(r.startedAt).toLocaleTimeString(i18n.lang),
+      ms: r.ms === null ? '…' : r.ms,
+      outcome: t(`diag.outcome.${r.outcome}`),
+      repo: r.repo || '—',
+      mode: r.preferApi ? r.mode : t('btn.localMode')
+    }) }));
+
+    panel.appendChild(createEl('h3', { text: t('diag.steps') }));
+    panel.appendChild(diagTable(
+      [t('diag.col.stage'), t('diag.col.url'), 'HTTP', t('diag.ms'), t('diag.col.result')],
+      r.steps.map(s => [
+        createEl('code', { text: s.stage }),
+        s.url || s.id || (s.names ? s.names.join(', ') : ''),
+        diagStatus(s),
+        s.ms === undefined ? '' : String(s.ms),
+        diagResult(s)
+      ])
+    ));
+
+    panel.appendChild(createEl('h3', { text: t('diag.folders', { count: r.folders.length }) }));
+    panel.appendChild(diagTable(
+      [t('diag.col.folder'), t('diag.col.source'), t('diag.ms'), t('diag.col.attempts')],
+      r.folders.map(f => [
+        f.name,
+        f.source ? createEl('code', { text: f.via ? `${f.source}: ${f.via}` : f.source }) : '…',
+        f.ms === null ? '' : String(f.ms),
+        createEl('ul', { class: 'diagnostics-attempts' }, f.attempts.map(a => createEl('li', {}, [
+          createEl('code', { text: a.source }),
+          ` ${[diagStatus(a), a.ms === undefined ? '' : `${a.ms} ${t('diag.ms')}`].filter(Boolean).join(' · ')} ${diagResult(a)}`,
+          a.url ? createEl('div', { class: 'small muted', text: a.url }) : null
+        ])))
+      ])
+    ));
   }
 
   /* ---------------------------
-     Main scanning routine
+     GitHub client (token + rate limit)
   --------------------------- */
 
-  async function scanFolders() {
-    setStatus('Сканування папок…');
-    let discovered = [];
+  // Every GitHub API request goes through githubFetch(): it adds the optional token, tracks
+  // X-RateLimit-* headers and refuses to hit the API while the quota is exhausted, resuming
+  // the scan automatically once the limit resets. The token lives in sessionStorage only.
+  const TOKEN_KEY = 'pg-gh-token';
+  const rateLimit = { limit: null, remaining: null, reset: null };
+  let resumeTimer = null;
 
-    // Step 0: try reading index.json if present (manual override)
+  function githubToken() {
     try {
-      const idx = await fetch(`./index.json`, { cache: 'no-cache' }).then(r => (r.ok ? r.json() : null)).catch(() => null);
-      if (idx && Array.isArray(idx.folders)) {
-        discovered = idx.folders.map(n => ({ name: n }));
-        setStatus(`Завантажено index.json (${discovered.length} записів)`);
-      }
-    } catch (e) {
-      // ignore
+      return sessionStorage.getItem(TOKEN_KEY) || '';
+    } catch (_) {
+      return '';
     }
+  }
 
-    // If repo detected and preferApi = true -> try GitHub API listing
-    if (detectedRepo && preferApi && discovered.length === 0) {
-      try {
-        setStatus('Отримую список вмісту з GitHub API…');
-        const url = `https://api.github.com/repos/${encodeURIComponent(detectedRepo.owner)}/${encodeURIComponent(detectedRepo.repo)}/contents/`;
-        const res = await fetch(url, { headers: { Accept: 'application/vnd.github.v3+json' } });
-        if (!res.ok) {
-          throw new Error(`GitHub API ${res.status}`);
-        }
-        const items = await res.json();
-        // items may include files and dirs; keep dirs and reasonable files
-        discovered = (items || []).filter(i => i.type === 'dir').map(i => ({ name: i.name }));
-        setStatus(`GitHub API: знайдено ${discovered.length} директорій`);
-      } catch (err) {
-        console.warn('GitHub API error:', err);
-        setStatus('GitHub API недоступний або лімітовано; використовую локальний режим', true);
-        // continue to local heuristics
-        discovered = [];
-      }
+  function setGithubToken(token) {
+    const t = safeText(token).trim();
+    // whatever was fetched with the previous token must not outlive it
+    cacheDropSession();
+    try {
+      if (t) sessionStorage.setItem(TOKEN_KEY, t);
+      else sessionStorage.removeItem(TOKEN_KEY);
+    } catch (err) {
+      console.warn('sessionStorage unavailable; token not stored', err);
     }
+    // quota belongs to the previous identity
+    rateLimit.limit = rateLimit.remaining = rateLimit.reset = null;
+    renderTokenState();
+    renderRateLimit();
+  }
 
-    // If nothing discovered yet: try local heuristics (common names)
-    if (discovered.length === 0) {
-      setStatus('Локальне сканування: пробую знайти поширені папки та перевіряю наявність index.html...');
-      const common = ['projects', 'site', 'docs', 'IWantSomeCatGirls', 'assets', 'blog', 'examples'];
-      const found = [];
-      for (const name of common) {
-        try {
-          const head = await fetch(`./${encodeURIComponent(name)}/index.html`, { method: 'HEAD' });
-          if (head.ok) found.push({ name });
-        } catch (e) {
-          // ignore network errors per-folder
-        }
-      }
+  function rateLimitError(resetAt) {
+    const err = new Error('GitHub API rate limit exceeded');
+    err.rateLimited = true;
+    err.resetAt = resetAt;
+    return err;
+  }
 
-      // Additionally: heuristically try to parse root index.html for links to folders (simple approach)
-      try {
-        const rootText = await fetch('./index.html', { cache: 'no-cache' }).then(r => (r.ok ? r.text() : null)).catch(() => null);
-        if (rootText) {
-          // find href="/folder/" or href="./folder/" or href="folder/"
-          const matches = Array.from(rootText.matchAll(/href=(?:'|")((?:\.\/)?([a-zA-Z0-9_\-]+)\/)(?:'|")/g));
-          for (const m of matches) {
-            const name = m[2];
-            if (name && !found.some(f => f.name === name)) found.push({ name });
-          }
-        }
-      } catch (e) {
-        // ignore
-      }
+  function rateLimitedUntil() {
+    return rateLimit.remaining === 0 && rateLimit.reset > Date.now() ? rateLimit.reset : 0;
+  }
 
-      discovered = found;
+  function readRateLimit(res) {
+    const num = (h) => {
+      const v = parseInt(res.headers.get(h), 10);
+      return Number.isFinite(v) ? v : null;
+    };
+    const remaining = num('X-RateLimit-Remaining');
+    if (remaining === null) return;
+    rateLimit.remaining = remaining;
+    rateLimit.limit = num('X-RateLimit-Limit');
+    const reset = num('X-RateLimit-Reset');
+    rateLimit.reset = reset === null ? null : reset * 1000;
+  }
+
+  function scheduleResume() {
+    if (resumeTimer || !rateLimit.reset) return;
+    const delay = Math.max(0, rateLimit.reset - Date.now()) + 1000;
+    resumeTimer = setTimeout(() => {
+      resumeTimer = null;
+      rateLimit.remaining = null;
+      renderRateLimit();
+      scanFolders().catch(err => console.error('scanFolders failed:', err));
+    }, delay);
+  }
+
+  async function githubFetch(url, headers = {}, signal = null) {
+    const until = rateLimitedUntil();
+    if (until) throw rateLimitError(until);
+
+    const token = githubToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetchWithTimeout(url, { headers }, signal);
+    readRateLimit(res);
+
+    if (res.status === 403 || res.status === 429) {
+      // secondary limits answer with Retry-After instead of an exhausted quota
+      const retryAfter = parseInt(res.headers.get('Retry-After'), 10);
+      if (Number.isFinite(retryAfter)) {
+        rateLimit.remaining = 0;
+        rateLimit.reset = Date.now() + retryAfter * 1000;
+      }
+      if (rateLimit.remaining === 0) {
+        renderRateLimit();
+        scheduleResume();
+        throw rateLimitError(rateLimit.reset);
+      }
+    }
+    if (res.status === 401 && token) {
+      console.warn('GitHub rejected the token (401)');
+      setStatus(() => t('status.tokenRejected'), true);
     }
+    renderRateLimit();
+    return res;
+  }
 
-    // Filter out hidden/system names unless showHidden
-    discovered = discovered.filter(i => showHidden || !defaultHidden.includes(i.name));
+  const formatTime = (ms) => new Date(ms).toLocaleTimeString(i18n.lang, { hour: '2-digit', minute: '2-digit' });
 
-    if (discovered.length === 0) {
-      setStatus('Папок не знайдено.', true);
-      renderProjects([]);
+  function renderRateLimit() {
+    if (!rateLimitEl) return;
+    if (rateLimit.remaining === null) {
+      setText(rateLimitEl, githubToken() ? t('rate.tokenSet') : '');
+      return;
+    }
+    const until = rateLimitedUntil();
+    if (until) {
+      setText(rateLimitEl, t('rate.exhausted', { time: formatTime(until) }));
+      rateLimitEl.classList.add('error');
       return;
     }
+    rateLimitEl.classList.remove('error');
+    const reset = rateLimit.reset ? t('rate.reset', { time: formatTime(rateLimit.reset) }) : '';
+    const quota = t('rate.quota', { remaining: rateLimit.remaining, limit: rateLimit.limit || '?' });
+    setText(rateLimitEl, `${quota}${reset}${githubToken() ? t('rate.token') : ''}`);
+  }
+
+  // never echoes the token back, only whether one is set
+  function renderTokenState() {
+    if (!tokenInput) return;
+    tokenInput.value = '';
+    tokenInput.placeholder = githubToken() ? t('token.placeholderSet') : t('token.placeholder');
+  }
+
+  /* ---------------------------
+     Persistent cache (localStorage)
+  --------------------------- */
+
+  // Entries look like { status, etag, body, savedAt }. Fresh entries are served without
+  // touching the network; stale ones are revalidated with If-None-Match, and GitHub does
+  // not count 304 responses against the rate limit.
+  // Anonymous responses persist in localStorage. While a token is set the answers may hold
+  // private data, so they go to sessionStorage instead and are dropped on every token
+  // change; the anonymous entries aren't read then either, so a 404 cached without access
+  // can't hide a private README.
+  const CACHE_PREFIX = 'pg-cache:';
+  const CACHE_TTL_KEY = 'pg-cache-ttl';
+  const DEFAULT_CACHE_TTL = 10 * 60 * 1000;
+  const cacheStats = { hits: 0, revalidated: 0, misses: 0 };
+
+  function cacheTtl() {
+    const v = parseInt(localStorage.getItem(CACHE_TTL_KEY), 10);
+    return Number.isFinite(v) && v >= 0 ? v : DEFAULT_CACHE_TTL;
+  }
+
+  function cacheStore() {
+    return githubToken() ? sessionStorage : localStorage;
+  }
+
+  function cacheGet(key) {
+    try {
+      return JSON.parse(cacheStore().getItem(CACHE_PREFIX + key)) || null;
+    } catch (_) {
+      return null;
+    }
+  }
 
-    setStatus(`Знайдено ${discovered.length} папок — отримую короткі описи...`);
+  function cacheSet(key, entry) {
+    try {
+      cacheStore().setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+    } catch (err) {
+      // quota exceeded or storage disabled: caching is best-effort
+      console.warn('Cache write failed for', key, err);
+    }
+  }
 
-    // For each folder, attempt: local index -> GitHub content -> fallback to name
-    const results = [];
-    await Promise.all(discovered.map(async (item) => {
-      const name = item.name;
-      let title = null, desc = null;
+  function cacheKeys(store = cacheStore()) {
+    const keys = [];
+    for (let i = 0; i < store.length; i++) {
+      const k = store.key(i);
+      if (k && k.startsWith(CACHE_PREFIX)) keys.push(k.slice(CACHE_PREFIX.length));
+    }
+    return keys;
+  }
 
-      // 1) try local index (same-origin)
-      try {
-        const local = await fetchLocalIndex(name);
-        if (local) {
-          title = local.title || name;
-          desc = local.desc || '';
-          results.push({ name, title, desc });
-          return;
-        }
-      } catch (_) { /* ignore */ }
+  // token-derived entries only (see above)
+  function cacheDropSession() {
+    try {
+      cacheKeys(sessionStorage).forEach(k => sessionStorage.removeItem(CACHE_PREFIX + k));
+    } catch (_) { /* storage disabled: nothing was cached there */ }
+  }
 
-      // 2) try GitHub API (if repo is known)
-      if (detectedRepo) {
-        try {
-          const gh = await fetchFromGitHub(detectedRepo.owner, detectedRepo.repo, name);
-          if (gh) {
-            title = gh.title || name;
-            desc = gh.desc || '';
-            results.push({ name, title, desc });
-            return;
-          }
-        } catch (err) {
-          // if GitHub API failed, we will fall back to name; do not fail whole scan
-          console.warn('GitHub content fetch failed for', name, err);
-        }
+  function cacheClear() {
+    cacheKeys(localStorage).forEach(k => localStorage.removeItem(CACHE_PREFIX + k));
+    cacheDropSession();
+    cacheStats.hits = cacheStats.revalidated = cacheStats.misses = 0;
+  }
+
+  function isFresh(entry) {
+    return !!entry && Date.now() - entry.savedAt < cacheTtl();
+  }
+
+  // GET a GitHub API url through the cache. `opts.revalidate` skips the freshness shortcut but
+  // still sends If-None-Match, so a forced refresh is free when nothing changed.
+  // 404s are cached too: a folder without README.md stays without one until the TTL expires.
+  async function fetchGitHubCached(url, accept, opts = {}) {
+    const { revalidate = false, signal = null, trace = null } = opts;
+    // trace: a diagnostics step, told whether the answer came from the network or the cache
+    const answer = (how, e) => {
+      if (trace) Object.assign(trace, { status: e.status, cache: how });
+      return e;
+    };
+    const entry = cacheGet(url);
+    if (!revalidate && isFresh(entry)) {
+      cacheStats.hits++;
+      return answer('fresh', entry);
+    }
+
+    const headers = { Accept: accept };
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    let res;
+    try {
+      res = await githubFetch(url, headers, signal);
+    } catch (err) {
+      // while rate-limited a stale answer is better than none
+      if (err.rateLimited && entry) {
+        cacheStats.hits++;
+        return answer('stale', entry);
       }
+      throw err;
+    }
 
-      // 3) fallback: name only
-      results.push({ name, title: maybeDecodeName(name), desc: '' });
-    }));
+    if (res.status === 304 && entry) {
+      cacheStats.revalidated++;
+      entry.savedAt = Date.now();
+      cacheSet(url, entry);
+      return answer('revalidated', entry);
+    }
 
-    // Sort alphabetically for stable presentation
-    results.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    cacheStats.misses++;
+    if (res.status === 404) {
+      const missing = { status: 404, etag: null, body: null, savedAt: Date.now() };
+      cacheSet(url, missing);
+      return answer('network', missing);
+    }
+    if (trace) trace.status = res.status;
+    if (!res.ok) throw new Error(`GitHub API ${res.status}`);
 
-    renderProjects(results);
-    setStatus(`Готово — відображено ${results.length} елементів`);
+    const body = accept.includes('json') ? await res.json() : await res.text();
+    const fresh = { status: res.status, etag: res.headers.get('ETag'), body, savedAt: Date.now() };
+    cacheSet(url, fresh);
+    return answer('network', fresh);
   }
 
   /* ---------------------------
-     UI interactions & initialization
+     Content discovery helpers
   --------------------------- */
 
-  function setStatus(txt, isError = false) {
-    if (!statusEl) {
-      // try to create a small status under projects container
-      if (projectsEl && !document.querySelector('#__pg_status')) {
-        const s = createEl('div', { id: '__pg_status', class: 'status muted' });
-        projectsEl.parentNode && projectsEl.parentNode.insertBefore(s, projectsEl.nextSibling);
-        setText(s, txt);
-        if (isError) s.style.color = '#ff6b6b';
-        return;
+  // Parse an index.html with the shared extractor (assets/meta.js); relative image/icon
+  // URLs are resolved against the project folder.
+  function extractPageMeta(html, folder) {
+    const meta = window.pgMeta
+      ? window.pgMeta.fromHtml(html, projectHref(folder))
+      : { title: null, desc: '', image: '', icon: '', themeColor: '', lang: '' };
+    meta.title = meta.title || maybeDecodeName(folder);
+    return meta;
+  }
+
+  // Try to fetch local index.html and extract title, description, Open Graph data and favicon.
+  // trace: a folder's diagnostics attempts
+  async function fetchLocalIndex(folder, signal = null, trace = null) {
+    const url = `${projectHref(folder)}index.html`;
+    try {
+      const res = await traced(trace, { source: 'local', url: absoluteUrl(url) }, () => fetchWithTimeout(url, { cache: 'no-cache' }, signal));
+      if (!res.ok) throw new Error('no-local');
+      return extractPageMeta(await res.text(), folder);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /* ---------------------------
+     Local discovery: directory listings of dev servers
+  --------------------------- */
+
+  // Static servers list a folder that has no index.html of its own:
+  //   python -m http.server  <title>Directory listing for /games/</title> ... <a href="snake/">
+  //   nginx autoindex        <title>Index of /games/</title> ... <a href="snake/">
+  //   npx serve              <title>Files within games/</title> ... <a href="/games/snake/">
+  // (Apache and http-server use "Index of" too.) Folders with an index.html are served as
+  // pages instead, which is exactly how a project folder is told apart from a container.
+  const LISTING_TITLE = /<title>\s*(?:Directory listing for|Index of|Files within)\b/i;
+  const LISTING_MAX_DEPTH = 3;
+  const LISTING_MAX_REQUESTS = 150;
+
+  // -> { dirs: ['snake', ...] } for a listing page, null for anything else
+  function parseListing(html, dirUrl) {
+    if (!LISTING_TITLE.test(html)) return null;
+    const base = new URL(dirUrl);
+    const dirs = new Set();
+    for (const m of html.matchAll(/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+      let url;
+      try {
+        url = new URL((m[1] !== undefined ? m[1] : m[2]).replace(/&amp;/g, '&'), base);
+      } catch (_) {
+        continue;
       }
-      return;
+      if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) continue;
+      // direct subfolders only: "name/" (no parent links, files, sort links like "?C=N;O=D")
+      const rest = url.pathname.slice(base.pathname.length);
+      if (!/^[^/]+\/$/.test(rest) || url.search) continue;
+      const name = maybeDecodeName(rest.slice(0, -1));
+      if (name && name !== '.' && name !== '..' && !name.startsWith('.')) dirs.add(name);
+    }
+    return { dirs: Array.from(dirs).sort((a, b) => a.localeCompare(b)) };
+  }
+
+  // GET a folder URL: { listing } when the server lists it, { page: true } when it serves an
+  // index page, null when it's missing or unreachable.
+  async function probeFolder(url, signal) {
+    const step = { stage: 'listing', url };
+    try {
+      const res = await traced(diagSteps(signal), step, () => fetchWithTimeout(url, { cache: 'no-cache' }, signal));
+      if (!res.ok) return null;
+      const listing = parseListing(await res.text(), res.url || url);
+      step.result = listing ? 'listing' : 'page';
+      if (listing) step.count = listing.dirs.length;
+      return listing ? { listing } : { page: true };
+    } catch (err) {
+      throwIfAborted(signal);
+      return null;
     }
-    setText(statusEl, txt);
-    statusEl.style.color = isError ? '#ff6b6b' : '';
   }
 
-  // Theme toggle (very small helper)
-  function applyTheme(theme) {
-    if (theme === 'light') document.documentElement.classList.add('light');
-    else document.documentElement.classList.remove('light');
-    localStorage.setItem('site-theme', theme);
+  // Walks listings from the site root. Top-level folders are projects (like the /contents/
+  // mode); deeper ones only when they serve an index page (like the Git Trees mode), and
+  // folders that are listings themselves are walked into. Returns null when the root isn't a
+  // listing, so the caller can fall back to probing known names.
+  // The root itself has index.html (this page), so servers only list it at a separate
+  // address: <meta name="pg-listing" content="__listing/"> in index.html, which
+  // scripts/serve.js answers (an nginx autoindex location can too). Without the meta the
+  // root URL is tried, for servers set up to list it anyway.
+  async function discoverFromListings(signal) {
+    const rootUrl = new URL('./', window.location.href).href;
+    const metaListing = document.querySelector('meta[name="pg-listing"]');
+    const listingUrl = metaListing && metaListing.content ? new URL(metaListing.content, rootUrl).href : rootUrl;
+    const root = await probeFolder(listingUrl, signal);
+    if (!root || !root.listing) return null;
+
+    const found = [];
+    let requests = 1;
+    const walk = async (prefix, dirs, depth) => {
+      await runLimited(dirs, scanOptions.concurrency, async (dir) => {
+        const name = prefix ? `${prefix}/${dir}` : dir;
+        if (isDefaultHidden(name) && !showHidden) return;
+        if (requests >= LISTING_MAX_REQUESTS) {
+          diagSkip(signal, 'listing', 'request-cap', { url: new URL(projectHref(name), rootUrl).href });
+          if (!prefix) found.push({ name });
+          return;
+        }
+        requests++;
+        const res = await probeFolder(new URL(projectHref(name), rootUrl).href, signal);
+        if (!prefix || (res && res.page)) found.push({ name });
+        if (res && res.listing && depth + 1 < LISTING_MAX_DEPTH) await walk(name, res.listing.dirs, depth + 1);
+      }, signal);
+    };
+    await walk('', root.listing.dirs, 0);
+    return found.sort((a, b) => a.name.localeCompare(b.name));
   }
 
-  if (themeBtn) {
-    themeBtn.addEventListener('click', () => {
-      const cur = localStorage.getItem('site-theme') || 'dark';
-      applyTheme(cur === 'dark' ? 'light' : 'dark');
-    });
+  function repoApiUrl(owner, repo, rest) {
+    return `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/${rest}`;
   }
 
-  if (refreshBtn) {
-    refreshBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      scanFolders();
-    });
+  // contents API path with every segment encoded but the slashes kept ("games/snake/README.md")
+  function contentsUrl(owner, repo, path) {
+    return repoApiUrl(owner, repo, `contents/${path.split('/').map(encodeURIComponent).join('/')}`);
   }
 
-  if (showHiddenBtn) {
-    showHiddenBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      showHidden = !showHidden;
-      showHiddenBtn.textContent = showHidden ? 'Приховати сховані' : 'Показати сховані';
-      scanFolders();
-    });
-    // init label
-    showHiddenBtn.textContent = showHidden ? 'Приховати сховані' : 'Показати сховані';
+  // Use GitHub API to read README.md or index.html in a folder.
+  // opts: { revalidate, signal, known, diag } — `known` ({ readme, hasIndex } from tree
+  // discovery) skips candidates that don't exist; `diag` is the folder's diagnostics record.
+  async function fetchFromGitHub(owner, repo, folder, opts = {}) {
+    const known = opts.known || null;
+    let candidates = [`${folder}/README.md`, `${folder}/readme.md`, `${folder}/index.html`];
+    if (known) {
+      candidates = [known.readme, known.hasIndex ? `${folder}/index.html` : null].filter(Boolean);
+    }
+
+    for (const path of candidates) {
+      const url = contentsUrl(owner, repo, path);
+      // 404 => try next; rate-limit or other errors bubble out so the caller can fall back
+      // For raw accept header, GitHub returns raw file content as text
+      const step = { source: 'github', url };
+      const entry = await traced(opts.diag ? opts.diag.attempts : null, step,
+        () => fetchGitHubCached(url, 'application/vnd.github.v3.raw', Object.assign({}, opts, { trace: step })));
+      if (entry.status === 404) continue;
+      const text = entry.body;
+      if (!text) {
+        step.result = 'miss';
+        step.reason = 'empty';
+        continue;
+      }
+
+      if (path.endsWith('.html')) {
+        return extractPageMeta(text, folder);
+      } else {
+        return {
+          title: maybeDecodeName(folder),
+          desc: readmeExcerpt(text)
+        };
+      }
+    }
+    return null;
   }
 
-  if (useApiBtn) {
-    useApiBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      preferApi = !preferApi;
-      useApiBtn.textContent = preferApi ? 'Використати GitHub API' : 'Локальний режим';
-      scanFolders();
+  // One recursive Git Trees call instead of /contents/ + per-folder probes: every directory
+  // (at any depth) that holds an index.html becomes a project, and README.md presence is
+  // read from the same listing.
+  async function discoverFromTree(owner, repo, opts = {}) {
+    const entry = await fetchGitHubCached(repoApiUrl(owner, repo, 'git/trees/HEAD?recursive=1'), 'application/vnd.github.v3+json', opts);
+    if (entry.status === 404 || !entry.body || !Array.isArray(entry.body.tree)) throw new Error('GitHub API 404');
+
+    const blobs = new Set(entry.body.tree.filter(t => t.type === 'blob').map(t => t.path));
+    const found = [];
+    blobs.forEach((path) => {
+      const m = path.match(/^(.+)\/index\.html$/);
+      if (!m) return;
+      const name = m[1];
+      const readme = [`${name}/README.md`, `${name}/readme.md`].find(p => blobs.has(p)) || null;
+      found.push({ name, readme, hasIndex: true });
     });
-    useApiBtn.textContent = preferApi ? 'Використати GitHub API' : 'Локальний режим';
+    return { items: found, truncated: !!entry.body.truncated };
+  }
+
+  // markdown: first real paragraph with the syntax stripped (assets/markdown.js)
+  function readmeExcerpt(text) {
+    if (window.pgMarkdown) return window.pgMarkdown.excerpt(text, 300);
+    const paragraphs = text.replace(/\r/g, '').split(/\n{2,}/).map(s => s.trim()).filter(Boolean);
+    return paragraphs.length ? paragraphs[0].replace(/\n/g, ' ').substring(0, 300) : '';
   }
 
-  // Initialize theme from localStorage
-  applyTheme(localStorage.getItem('site-theme') || 'dark');
+  // Full README.md for the preview: GitHub API first (usually already cached by the scan),
+  // then the same-origin file.
+  async function fetchReadme(folder) {
+    if (detectedRepo && preferApi) {
+      for (const file of ['README.md', 'readme.md']) {
+        const url = contentsUrl(detectedRepo.owner, detectedRepo.repo, `${folder}/${file}`);
+        try {
+          const entry = await fetchGitHubCached(url, 'application/vnd.github.v3.raw');
+          if (entry.status !== 404 && entry.body) return entry.body;
+        } catch (err) {
+          console.warn('README fetch via GitHub API failed for', folder, err);
+          break;
+        }
+      }
+    }
+    try {
+      const res = await fetchWithTimeout(`${projectHref(folder)}README.md`, { cache: 'no-cache' });
+      // Pages may render README.md into HTML; only accept the raw file
+      if (res.ok && !(res.headers.get('content-type') || '').includes('text/html')) return res.text();
+    } catch (_) { /* ignore */ }
+    return null;
+  }
 
-  // Initial scan
-  // Slight delay to allow DOM to finish rendering if script is included in head
-  setTimeout(() => {
-    scanFolders().catch((err) => {
-      console.error('scanFolders failed:', err);
-      setStatus('Помилка при скануванні папок', true);
-    });
-  }, 50);
+  /* ---------------------------
+     Manifest (index.json)
+  --------------------------- */
 
-  /* Expose tiny debug API */
-  window.pg = window.pg || {};
-  window.pg.scan = scanFolders;
-  window.pg.setPreferApi = (v) => {
-    preferApi = !!v;
-    if (useApiBtn) useApiBtn.textContent = preferApi ? 'Використати GitHub API' : 'Локальний режим';
-    return scanFolders();
-  };
-  window.pg.setShowHidden = (v) => {
-    showHidden = !!v;
-    if (showHiddenBtn) showHiddenBtn.textContent = showHidden ? 'Приховати сховані' : 'Показати сховані';
-    return scanFolders();
+  // index.json may list plain folder names (legacy `folders`) and/or rich `projects` entries:
+  //   { "name": "IWantSomeCatGirls", "title": "...", "description": "...", "tags": ["fun"],
+  //     "thumbnail": "preview.png", "url": "https://...", "pinned": true, "weight": 10,
+  //     "hidden": false, "date": "2024-05-01", "type": "game" }
+  // ("type" picks a card renderer registered by a plugin, see pg.registerRenderer)
+  // scripts/build-index.js also writes what it scraped at build time: "image", "icon"
+  // (relative to the folder, like "thumbnail"), "themeColor" and "lang", and marks such
+  // entries "generated": true (see splitGenerated).
+  // Manifest fields override whatever is scraped from index.html / README.md.
+  const MANIFEST_FIELDS = {
+    title: 'string',
+    description: 'string',
+    thumbnail: 'string',
+    image: 'string',
+    icon: 'string',
+    themeColor: 'string',
+    lang: 'string',
+    url: 'url',
+    tags: 'tags',
+    pinned: 'boolean',
+    hidden: 'boolean',
+    weight: 'number',
+    date: 'date',
+    type: 'string',
+    generated: 'boolean'
   };
 
-  // expose detection result
-  window.pg.repo = detectedRepo || null;
+  // Fields scripts/build-index.js rewrites on every run
+  const GENERATED_FIELDS = ['title', 'description', 'image', 'icon', 'themeColor', 'lang'];
+
+  function checkManifestField(type, v) {
+    if (type === 'string') return typeof v === 'string';
+    if (type === 'boolean') return typeof v === 'boolean';
+    if (type === 'number') return typeof v === 'number' && Number.isFinite(v);
+    if (type === 'tags') return Array.isArray(v) && v.every(t => typeof t === 'string' && t.trim());
+    if (type === 'date') return typeof v === 'string' && !Number.isNaN(Date.parse(v));
+    if (type === 'url') return typeof v === 'string' && isSafeUrl(v);
+    return false;
+  }
+
+  // Card links: http(s) or relative only, so a manifest can't slip in "javascript:" and
+  // the like. Browsers ignore leading blanks and tabs/newlines anywhere in the scheme.
+  function isSafeUrl(v) {
+    const s = v.replace(/[\t\n\r]/g, '').replace(/^[\x00-\x20]+/, '');
+    return /^https?:/i.test(s) || !/^[a-z][a-z0-9+.-]*:/i.test(s);
+  }
+
+  function isValidProjectName(n) {
+    return typeof n === 'string' && !!n.trim() && !n.startsWith('/') && !n.split('/').includes('..');
+  }
+
+  // Returns { entries: Map<name, entry>, repos, ownerPages, errors: string[] }. Bad fields
+  // are dropped from the entry; entries without a usable name (or duplicates) are dropped
+  // entirely. Every drop is recorded in `errors` so the caller can report it.
+  function validateManifest(idx) {
+    const entries = new Map();
+    const errors = [];
+    if (!idx || typeof idx !== 'object' || Array.isArray(idx)) {
+      errors.push(t('manifest.notObject'));
+      return { entries, repos: [], ownerPages: false, errors };
+    }
+
+    const raw = [];
+    ['folders', 'projects'].forEach((key) => {
+      if (idx[key] === undefined) return;
+      if (!Array.isArray(idx[key])) {
+        errors.push(t('manifest.notArray', { key }));
+        return;
+      }
+      idx[key].forEach((v, i) => raw.push({ where: `${key}[${i}]`, value: v }));
+    });
+
+    raw.forEach(({ where, value }) => {
+      const obj = typeof value === 'string' ? { name: value } : value;
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        errors.push(t('manifest.badEntry', { where }));
+        return;
+      }
+      if (!isValidProjectName(obj.name)) {
+        errors.push(t('manifest.badName', { where }));
+        return;
+      }
+      const name = obj.name.trim();
+      if (entries.has(name)) {
+        errors.push(t('manifest.duplicate', { where, name }));
+        return;
+      }
+
+      if (obj.url !== undefined && !checkManifestField('url', obj.url)) {
+        errors.push(t('manifest.badUrl', { where }));
+        return;
+      }
+
+      const entry = { name };
+      Object.keys(obj).forEach((k) => {
+        if (k === 'name') return;
+        const type = MANIFEST_FIELDS[k];
+        if (!type) {
+          errors.push(t('manifest.unknownField', { where, field: k }));
+          return;
+        }
+        if (!checkManifestField(type, obj[k])) {
+          errors.push(t('manifest.badValue', { where, field: k }));
+          return;
+        }
+        entry[k] = type === 'tags' ? obj[k].map(t => t.trim()) : obj[k];
+      });
+      entries.set(name, entry);
+    });
+
+    // other repositories to aggregate (see "Other repositories" below)
+    const repos = [];
+    if (idx.repos !== undefined && !Array.isArray(idx.repos)) errors.push(t('manifest.notArray', { key: 'repos' }));
+    (Array.isArray(idx.repos) ? idx.repos : []).forEach((v, i) => {
+      const repo = parseRepoDecl(v);
+      if (repo) repos.push(repo);
+      else errors.push(t('manifest.badRepo', { where: `repos[${i}]` }));
+    });
+    if (idx.ownerPages !== undefined && typeof idx.ownerPages !== 'boolean') errors.push(t('manifest.badValue', { where: 'index.json', field: 'ownerPages' }));
+
+    return { entries, repos, ownerPages: idx.ownerPages === true, errors };
+  }
+
+  async function loadManifest(signal = null) {
+    const step = { stage: 'manifest', url: absoluteUrl('./index.json') };
+    const res = await traced(diagSteps(signal), step, () => fetchWithTimeout('./index.json', { cache: 'no-cache' }, signal)).catch(() => null);
+    throwIfAborted(signal);
+    if (!res || !res.ok) return { entries: new Map(), repos: [], ownerPages: false, errors: [] };
+    let idx;
+    try {
+      idx = await res.json();
+    } catch (err) {
+      Object.assign(step, { result: 'error', error: err.message });
+      return { entries: new Map(), repos: [], ownerPages: false, errors: [t('manifest.badJson', { message: err.message })] };
+    }
+    const manifest = validateManifest(idx);
+    step.count = manifest.entries.size;
+    if (manifest.errors.length) step.error = manifest.errors.join('; ');
+    return manifest;
+  }
+
+  // Relative thumbnails are resolved against the project folder; absolute URLs and
+  // root-relative paths are kept as-is.
+  function resolveProjectAsset(name, path) {
+    if (!path) return '';
+    if (/^(?:[a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+    return `${projectHref(name)}${path.replace(/^\.\//, '')}`;
+  }
+
+  // "./games/snake game/" -> "./games/snake%20game/"
+  function projectHref(name) {
+    return `./${name.split('/').map(encodeURIComponent).join('/')}/`;
+  }
+
+  function applyManifest(project, entry) {
+    if (!entry) return project;
+    const out = Object.assign({}, project);
+    if (entry.title) out.title = entry.title;
+    if (entry.description !== undefined) out.desc = entry.description;
+    if (entry.tags) out.tags = entry.tags;
+    if (entry.thumbnail) out.thumbnail = resolveProjectAsset(project.name, entry.thumbnail);
+    if (entry.image) out.image = resolveProjectAsset(project.name, entry.image);
+    if (entry.icon) out.icon = resolveProjectAsset(project.name, entry.icon);
+    if (entry.themeColor) out.themeColor = entry.themeColor;
+    if (entry.lang) out.lang = entry.lang;
+    if (entry.url) out.url = entry.url;
+    if (entry.pinned !== undefined) out.pinned = entry.pinned;
+    if (entry.weight !== undefined) out.weight = entry.weight;
+    if (entry.date) out.date = entry.date;
+    if (entry.type) out.type = entry.type;
+    if (entry.source) out.source = entry.source; // id of the plugin source that listed it
+    if (entry.origin) out.origin = entry.origin; // "owner/repo" it was aggregated from
+    return out;
+  }
+
+  // A generated entry's scraped fields are a build-time snapshot: the live lookups still
+  // run and win, the snapshot only fills what they don't find. -> { snapshot, manual },
+  // where `manual` is what overrides the lookups (the whole entry when hand-written).
+  function splitGenerated(entry) {
+    if (!entry || !entry.generated) return { snapshot: null, manual: entry };
+    const snapshot = {};
+    const manual = {};
+    Object.keys(entry).forEach((k) => {
+      if (k !== 'generated') (GENERATED_FIELDS.includes(k) ? snapshot : manual)[k] = entry[k];
+    });
+    return { snapshot, manual };
+  }
+
+  // `fellBack`: every lookup failed, so the snapshot beats the name-only fallback
+  function withSnapshot(scraped, snapshot, fellBack) {
+    const stored = applyManifest({ name: scraped.name }, snapshot);
+    if (fellBack) return Object.assign({}, scraped, stored);
+    Object.keys(scraped).forEach((k) => {
+      if (scraped[k] !== '' && scraped[k] !== undefined && scraped[k] !== null) stored[k] = scraped[k];
+    });
+    return stored;
+  }
+
+  // pinned first, then higher weight, then name
+  function compareProjects(a, b) {
+    if (!!b.pinned !== !!a.pinned) return b.pinned ? 1 : -1;
+    const w = (b.weight || 0) - (a.weight || 0);
+    if (w) return w;
+    return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  }
+
+  /* ---------------------------
+     Other repositories (aggregation)
+  --------------------------- */
+
+  // Projects published from other repos' GitHub Pages. Repos are declared with
+  //   <meta name="pg-repos" content="owner/games, owner/notes">
+  //   index.json: "repos": ["owner/games", { "repo": "owner/notes", "url": "https://notes.example/", "label": "Нотатки" }]
+  // and, with <meta name="pg-owner-pages" content="true"> or "ownerPages": true, every repo of
+  // the owner that has Pages enabled (one /users/{owner}/repos call, through the cache).
+  // Each repo is read from its own site: its index.json lists the projects (folders become
+  // links to the right Pages URL); without one the whole site is a single card. Every repo
+  // is fetched on its own, so one failing repo only drops its own cards.
+  const REPO_RE = /^([a-z\d](?:[a-z\d-]*[a-z\d])?)\/([\w.-]+)$/i;
+
+  // "owner/repo" or { repo, url, label, description } -> { id, owner, name, url, label, description }
+  function parseRepoDecl(v) {
+    const obj = typeof v === 'string' ? { repo: v } : v;
+    if (!obj || typeof obj.repo !== 'string') return null;
+    const m = obj.repo.trim().match(REPO_RE);
+    if (!m) return null;
+    if (obj.url !== undefined && !(typeof obj.url === 'string' && /^https?:\/\//i.test(obj.url))) return null;
+    const [, owner, name] = m;
+    return {
+      id: `${owner}/${name}`,
+      owner,
+      name,
+      url: obj.url ? obj.url.replace(/\/?$/, '/') : pagesUrl(owner, name),
+      label: typeof obj.label === 'string' ? obj.label : '',
+      description: typeof obj.description === 'string' ? obj.description : ''
+    };
+  }
+
+  // owner.github.io is served at the root, every other repo under /repo/
+  function pagesUrl(owner, name) {
+    const host = `https://${owner.toLowerCase()}.github.io/`;
+    return name.toLowerCase() === `${owner.toLowerCase()}.github.io` ? host : `${host}${encodeURIComponent(name)}/`;
+  }
+
+  function metaRepos() {
+    const m = document.querySelector('meta[name="pg-repos"]');
+    return m && m.content ? m.content.split(/[\s,]+/).filter(Boolean).map(parseRepoDecl).filter(Boolean) : [];
+  }
+
+  async function ownerPagesRepos(owner, opts) {
+    const url = `https://api.github.com/users/${encodeURIComponent(owner)}/repos?per_page=100&type=owner`;
+    const step = { stage: 'owner-pages', url };
+    const entry = await traced(diagSteps(opts.signal), step,
+      () => fetchGitHubCached(url, 'application/vnd.github.v3+json', Object.assign({}, opts, { trace: step })));
+    if (!Array.isArray(entry.body)) throw new Error(`GitHub API ${entry.status}`);
+    step.count = entry.body.length;
+    return entry.body
+      .filter(r => r.has_pages && !r.fork && !r.archived)
+      .map(r => parseRepoDecl({
+        repo: r.full_name,
+        url: /^https?:\/\//i.test(r.homepage || '') ? r.homepage : undefined,
+        description: r.description || ''
+      }))
+      .filter(Boolean);
+  }
+
+  // Declared repos (meta + index.json + owner's Pages), without this site's own repo
+  async function aggregatedRepos(manifest, opts) {
+    const list = metaRepos().concat(manifest.repos);
+    const ownerPages = manifest.ownerPages || !!document.querySelector('meta[name="pg-owner-pages"][content="true"]');
+    if (ownerPages && detectedRepo && preferApi) {
+      try {
+        list.push(...await ownerPagesRepos(detectedRepo.owner, opts));
+      } catch (err) {
+        throwIfAborted(opts.signal);
+        console.warn('Listing the owner\'s Pages repos failed:', err);
+        emit('error', { stage: 'repo', id: `${detectedRepo.owner}/*`, error: err });
+      }
+    }
+    const own = detectedRepo ? `${detectedRepo.owner}/${detectedRepo.repo}`.toLowerCase() : '';
+    const seen = new Set([own]);
+    return list.filter((r) => {
+      const key = r.id.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // One repo -> index.json-style entries named "<owner>/<repo>/<folder>" (grouped under the
+  // repo in the grid), with absolute URLs so nothing is looked up on this origin.
+  async function fetchRepoEntries(repo, signal) {
+    const step = { stage: 'repo', url: `${repo.url}index.json` };
+    const res = await traced(diagSteps(signal), step, () => fetchWithTimeout(step.url, { cache: 'no-cache' }, signal));
+    if (res.status === 404) {
+      Object.assign(step, { result: 'single', reason: 'no-index-json' });
+      return [{ name: repo.id, title: repo.label || repo.name, description: repo.description, url: repo.url, origin: repo.id }];
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    let result;
+    try {
+      result = validateManifest(await res.json());
+    } catch (err) {
+      Object.assign(step, { result: 'error', error: err.message });
+      throw err;
+    }
+    result.errors.forEach(e => console.warn(`${repo.id}/index.json:`, e));
+    const entries = [];
+    result.entries.forEach((e, name) => {
+      if (e.hidden) return;
+      const folderUrl = new URL(`${name.split('/').map(encodeURIComponent).join('/')}/`, repo.url).href;
+      const entry = Object.assign({}, e, {
+        name: `${repo.id}/${name}`,
+        title: e.title || maybeDecodeName(name),
+        description: e.description || '',
+        url: e.url || folderUrl,
+        origin: repo.id
+      });
+      ['thumbnail', 'image', 'icon'].forEach((k) => {
+        if (e[k]) entry[k] = new URL(e[k], folderUrl).href;
+      });
+      entries.push(entry);
+    });
+    step.count = entries.length;
+    return entries;
+  }
+
+  // -> { entries: Map<name, entry>, failed: ["owner/repo", ...] }
+  async function loadRepoEntries(repos, signal) {
+    const entries = new Map();
+    const failed = [];
+    await runLimited(repos, scanOptions.concurrency, async (repo) => {
+      try {
+        (await fetchRepoEntries(repo, signal)).forEach(e => entries.set(e.name, e));
+      } catch (err) {
+        throwIfAborted(signal);
+        console.warn(`Repository ${repo.id} failed:`, err);
+        failed.push(repo.id);
+        emit('error', { stage: 'repo', id: repo.id, error: err });
+      }
+    }, signal);
+    return { entries, failed };
+  }
+
+  /* ---------------------------
+     Rendering helpers
+  --------------------------- */
+
+  // The whole card is clickable through a stretched link (see .card-link in style.css), which
+  // leaves room for a real <button> to open the README preview.
+  function projectCard(project) {
+    const { name, title, desc, tags, thumbnail, image, icon, themeColor, lang, url, pinned } = project;
+    const card = createEl('div', { class: project.pending ? 'card project pending' : 'card project', 'data-name': name });
+    // theme-color of the subproject tints the card border
+    if (themeColor && /^#[0-9a-f]{3,8}$|^(?:rgb|hsl)a?\([\d\s.,%]+\)$/i.test(themeColor)) {
+      card.style.setProperty('--card-accent', themeColor);
+    }
+
+    const anchor = createEl('a', { class: 'link card-link', href: url || projectHref(name), text: title || name });
+    anchor.setAttribute('aria-label', t('card.open', { name }));
+    if (url && /^https?:/i.test(url)) anchor.setAttribute('rel', 'noopener noreferrer');
+
+    // manifest thumbnail wins over og:image
+    const thumb = thumbnail || image;
+    if (thumb) {
+      const img = createEl('img', { class: 'card-thumb', src: thumb, alt: '', loading: 'lazy' });
+      img.addEventListener('error', () => img.remove());
+      card.appendChild(img);
+    }
+
+    const h = createEl('h3', lang ? { lang } : {}, anchor);
+    if (icon) {
+      const ico = createEl('img', { class: 'card-icon', src: icon, alt: '', width: '16', height: '16' });
+      ico.addEventListener('error', () => ico.remove());
+      h.insertBefore(ico, anchor);
+    }
+    const p = createEl('p', lang ? { lang, text: desc || '' } : { text: desc || '' });
+    const { origin } = project;
+    const meta = createEl('div', { class: 'meta' }, [
+      createEl('span', { class: 'pill', text: pinned ? t('card.pinned') : t('card.folder') }),
+      // aggregated projects: "owner/repo" label plus the folder inside it
+      origin
+        ? createEl('span', { class: 'small origin', title: t('card.origin', { repo: origin }), text: origin })
+        : createEl('span', { class: 'small muted', text: name })
+    ]);
+    if (isRecent(project)) meta.appendChild(recentBadge());
+
+    const health = !url && healthInfo.get(name);
+    if (health) meta.appendChild(healthBadge(name, health));
+    const source = sourceLink(project);
+    if (source) meta.appendChild(source);
+
+    // external entries have no folder (and no README) to preview
+    if (!url) {
+      const previewBtn = createEl('button', { type: 'button', class: 'btn ghost small preview-btn', 'aria-haspopup': 'dialog', text: t('card.preview') });
+      previewBtn.addEventListener('click', () => openPreview(project));
+      meta.appendChild(previewBtn);
+    }
+
+    card.appendChild(h);
+    if (desc) card.appendChild(p);
+    else if (project.pending) card.appendChild(createEl('p', { class: 'skeleton', 'aria-hidden': 'true' }));
+    if (tags && tags.length) {
+      card.appendChild(createEl('div', { class: 'tags' }, tags.map(t => createEl('span', { class: 'tag', text: t }))));
+    }
+    const activity = activityLine(project);
+    if (activity) card.appendChild(activity);
+    card.appendChild(meta);
+    if (health && healthOpen.has(name)) card.appendChild(healthDetails(health));
+    return card;
+  }
+
+  // Last commit touching the folder (commits API), or the manifest date when the API is
+  // off / rate limited: "3 days ago · Fix menu · octocat".
+  function activityLine(project) {
+    if (project.url) return null;
+    const c = commitInfo.get(project.name);
+    const ms = updatedAt(project);
+    if (!ms) return null;
+    const date = new Date(ms);
+    const time = createEl('time', { datetime: date.toISOString(), title: date.toLocaleString(i18n.lang), text: relativeTime(ms) });
+    const line = createEl('div', { class: 'activity small muted' }, [time]);
+    if (c && c.message) {
+      line.appendChild(document.createTextNode(' · '));
+      line.appendChild(createEl('span', { class: 'activity-message', title: c.message, text: c.message }));
+    }
+    if (c && c.author) line.appendChild(document.createTextNode(` · ${c.author}`));
+    return line;
+  }
+
+  const RECENT_DAYS = 14;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function isRecent(project) {
+    const ms = updatedAt(project);
+    return ms > 0 && Date.now() - ms < RECENT_DAYS * DAY;
+  }
+
+  function recentBadge() {
+    return createEl('span', { class: 'pill recent', title: t('card.recentTitle', { count: RECENT_DAYS }), text: t('card.recent') });
+  }
+
+  // "5 minutes ago" / "yesterday"; plain date once it's older than a month
+  function relativeTime(ms) {
+    const diff = ms - Date.now();
+    if (typeof Intl === 'undefined' || !Intl.RelativeTimeFormat || -diff > 30 * DAY) {
+      return new Date(ms).toLocaleDateString(i18n.lang);
+    }
+    const rtf = new Intl.RelativeTimeFormat(i18n.lang, { numeric: 'auto' });
+    const units = [['day', DAY], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]];
+    for (const [unit, size] of units) {
+      if (Math.abs(diff) >= size) return rtf.format(Math.round(diff / size), unit);
+    }
+    return rtf.format(0, 'minute');
+  }
+
+  // Folder on github.com; HEAD follows whatever the default branch is
+  function sourceLink(project) {
+    const repo = project.origin || (!project.url && detectedRepo && `${detectedRepo.owner}/${detectedRepo.repo}`);
+    if (!repo) return null;
+    const folder = project.origin ? project.name.slice(project.origin.length + 1) : project.name;
+    const path = folder ? `/tree/HEAD/${folder.split('/').map(encodeURIComponent).join('/')}` : '';
+    const href = `https://github.com/${repo.split('/').map(encodeURIComponent).join('/')}${path}`;
+    const a = createEl('a', { class: 'btn ghost small source-link', href, target: '_blank', rel: 'noopener noreferrer', text: t('card.source') });
+    a.setAttribute('aria-label', t('card.sourceTitle', { name: project.name }));
+    return a;
+  }
+
+  // ✓ / ⚠ 2 / ✕ 404 — toggles the list of broken references under the card
+  function healthBadge(name, health) {
+    const text = {
+      checking: '…',
+      ok: '✓',
+      warn: `⚠ ${health.broken.length}`,
+      error: `✕ ${health.page.status || '!'}`
+    }[health.state];
+    const title = {
+      checking: t('health.checking'),
+      ok: t('health.ok', { count: health.checked }),
+      warn: t('health.broken', { count: health.broken.length }),
+      error: health.page.status ? t('health.pageError', { status: health.page.status }) : t('health.networkError')
+    }[health.state];
+    const badge = createEl('button', { type: 'button', class: `btn ghost small health-badge health-${health.state}`, title, 'aria-label': title, text });
+    if (health.state === 'warn' || health.state === 'error') {
+      badge.setAttribute('aria-expanded', healthOpen.has(name) ? 'true' : 'false');
+      badge.addEventListener('click', () => {
+        if (healthOpen.has(name)) healthOpen.delete(name);
+        else healthOpen.add(name);
+        const project = allProjects.find(p => p.name === name);
+        if (project) updateProject(project);
+      });
+    } else {
+      badge.disabled = true;
+    }
+    return badge;
+  }
+
+  function healthDetails(health) {
+    const box = createEl('div', { class: 'health-details small' });
+    if (health.state === 'error') {
+      box.appendChild(createEl('p', { text: health.page.status ? t('health.pageError', { status: health.page.status }) : t('health.networkError') }));
+      return box;
+    }
+    box.appendChild(createEl('p', { class: 'muted', text: t('health.broken', { count: health.broken.length }) }));
+    box.appendChild(createEl('ul', {}, health.broken.map((ref) => {
+      const path = ref.url.startsWith(window.location.origin) ? ref.url.slice(window.location.origin.length) : ref.url;
+      return createEl('li', {}, [
+        createEl('span', { class: 'muted', text: `${t(`health.kind.${ref.kind}`)}: ` }),
+        createEl('a', { href: ref.url, text: path }),
+        createEl('span', { class: 'muted', text: ` — ${ref.status ? `HTTP ${ref.status}` : t('health.networkError')}` })
+      ]);
+    })));
+    return box;
+  }
+
+  /* ---------------------------
+     README preview dialog
+  --------------------------- */
+
+  let previewDialog = null;
+
+  function ensurePreviewDialog() {
+    if (previewDialog) return previewDialog;
+    previewDialog = el('#preview-dialog') || document.body.appendChild(createEl('dialog', { id: 'preview-dialog', class: 'preview' }));
+    previewDialog.setAttribute('aria-labelledby', 'preview-title');
+    previewDialog.innerHTML = '';
+    const head = createEl('div', { class: 'preview-head' }, [
+      createEl('h2', { id: 'preview-title' }),
+      createEl('a', { class: 'btn small preview-open', href: '#', 'data-i18n': 'preview.open', text: t('preview.open') }),
+      createEl('button', { type: 'button', class: 'btn ghost small preview-close', 'data-i18n-attr': 'aria-label:preview.close', 'aria-label': t('preview.close'), text: '✕' })
+    ]);
+    previewDialog.appendChild(head);
+    previewDialog.appendChild(createEl('div', { class: 'preview-body markdown' }));
+    previewDialog.querySelector('.preview-close').addEventListener('click', closePreview);
+    // click on the backdrop (outside the dialog box) closes it
+    previewDialog.addEventListener('click', (e) => {
+      if (e.target === previewDialog) closePreview();
+    });
+    return previewDialog;
+  }
+
+  function closePreview() {
+    if (!previewDialog) return;
+    if (typeof previewDialog.close === 'function') previewDialog.close();
+    else previewDialog.removeAttribute('open');
+  }
+
+  let previewToken = 0;
+  async function openPreview(project) {
+    const dlg = ensurePreviewDialog();
+    const body = dlg.querySelector('.preview-body');
+    setText(dlg.querySelector('#preview-title'), project.title || project.name);
+    dlg.querySelector('.preview-open').setAttribute('href', projectHref(project.name));
+    body.innerHTML = '';
+    body.appendChild(createEl('p', { class: 'muted', text: t('preview.loading') }));
+    if (typeof dlg.showModal === 'function') {
+      if (!dlg.open) dlg.showModal();
+    } else {
+      dlg.setAttribute('open', '');
+    }
+
+    // ignore late answers when another card was opened meanwhile
+    const token = ++previewToken;
+    const md = await fetchReadme(project.name);
+    if (token !== previewToken) return;
+
+    body.innerHTML = '';
+    if (md && window.pgMarkdown) {
+      // the renderer escapes all raw HTML and drops unsafe URLs
+      body.innerHTML = window.pgMarkdown.render(md, { base: projectHref(project.name) });
+    } else if (md) {
+      body.appendChild(createEl('pre', { text: md }));
+    } else {
+      if (project.desc) body.appendChild(createEl('p', { text: project.desc }));
+      body.appendChild(createEl('p', { class: 'muted small', text: t('preview.missing') }));
+    }
+  }
+
+  /* ---------------------------
+     Prerendered cards (scripts/build-index.js)
+  --------------------------- */
+
+  // index.html may ship cards built at deploy time plus their data as JSON. A project that
+  // renders the same as the built one (matched by data-name, in the language it was built
+  // in) reuses that node and only wires up its buttons, so scan placeholders and results
+  // that merely confirm it don't rebuild it; anything that differs replaces it for good.
+  const prerendered = readPrerendered();
+
+  // fields projectCard() and the hydration below turn into markup
+  const CARD_FIELDS = ['title', 'desc', 'url', 'thumbnail', 'image', 'icon', 'themeColor', 'lang', 'type', 'date', 'origin'];
+
+  function sameCard(a, b) {
+    return CARD_FIELDS.every(k => (a[k] || '') === (b[k] || ''))
+      && !!a.pinned === !!b.pinned
+      && (a.tags || []).join('\n') === (b.tags || []).join('\n');
+  }
+
+  function readPrerendered() {
+    const dataEl = el('#pg-prerendered');
+    if (!dataEl || !projectsEl) return null;
+    try {
+      const data = JSON.parse(dataEl.textContent);
+      if (!data || !Array.isArray(data.projects)) return null;
+      const nodes = new Map(elAll('#projects [data-prerendered]').map(n => [n.getAttribute('data-name'), n]));
+      // `shown`: the project each node currently displays, by name
+      const shown = new Map(data.projects.map(p => [p.name, p]));
+      return { lang: data.lang, projects: data.projects, nodes, shown, hydrated: new Set() };
+    } catch (err) {
+      console.warn('Prerendered project data is not valid JSON:', err);
+      return null;
+    }
+  }
+
+  function hydratedCard(project) {
+    const node = prerendered && prerendered.nodes.get(project.name);
+    if (!node) return null;
+    const shown = prerendered.shown.get(project.name);
+    // badges and commit details are rendered by projectCard(), custom types by their plugin
+    if (i18n.lang !== prerendered.lang || !shown || !sameCard(project, shown)
+      || healthInfo.has(project.name) || commitInfo.get(project.name)
+      || (project.type && plugins.renderers.has(project.type))) {
+      prerendered.nodes.delete(project.name);
+      return null;
+    }
+    node.classList.toggle('pending', !!project.pending);
+    if (!prerendered.hydrated.has(node)) {
+      prerendered.hydrated.add(node);
+      const name = project.name;
+      const previewBtn = node.querySelector('.preview-btn');
+      if (previewBtn) previewBtn.addEventListener('click', () => openPreview(allProjects.find(p => p.name === name) || shown));
+      // relative dates and the repo link depend on "now" and the host, so they're added here
+      const meta = node.querySelector('.meta');
+      const activity = activityLine(project);
+      if (meta && activity) node.insertBefore(activity, meta);
+      if (meta && isRecent(project)) meta.insertBefore(recentBadge(), meta.children[2] || null);
+      const source = sourceLink(project);
+      if (meta && source) meta.insertBefore(source, previewBtn);
+      Array.from(node.querySelectorAll('img')).forEach((img) => {
+        if (img.complete && !img.naturalWidth) img.remove();
+        else img.addEventListener('error', () => img.remove());
+      });
+    }
+    return node;
+  }
+
+  // Empties the grid except for `keep` (hydrated cards), which renderProjects() re-appends
+  // in order without rebuilding them.
+  function clearProjects(keep = new Set()) {
+    if (!projectsEl) return;
+    Array.from(projectsEl.childNodes).forEach((node) => {
+      if (!keep.has(node)) node.remove();
+    });
+  }
+
+  function renderProjects(items, emptyText = t('grid.empty')) {
+    if (!projectsEl) return;
+    const hadFocus = projectsEl.contains(document.activeElement);
+    if (!items.length) {
+      clearProjects();
+      projectsEl.appendChild(createEl('div', { class: 'muted', text: emptyText }));
+      return;
+    }
+    // nested projects ("games/snake") are grouped under their parent path
+    const groups = new Map();
+    items.forEach((it) => {
+      const parent = it.name.includes('/') ? it.name.slice(0, it.name.lastIndexOf('/')) : '';
+      if (!groups.has(parent)) groups.set(parent, []);
+      groups.get(parent).push(it);
+    });
+    const parents = Array.from(groups.keys()).sort((a, b) => (a ? (b ? a.localeCompare(b) : 1) : -1));
+    const nodes = [];
+    parents.forEach((parent) => {
+      if (parent) nodes.push(createEl('h3', { class: 'group-title', text: `${maybeDecodeName(parent)}/` }));
+      groups.get(parent).forEach(it => nodes.push(hydratedCard(it) || renderCard(it)));
+    });
+    clearProjects(new Set(nodes));
+    nodes.forEach(node => projectsEl.appendChild(node));
+    syncRovingFocus(hadFocus);
+  }
+
+  /* ---------------------------
+     Keyboard navigation (roving focus over the cards)
+  --------------------------- */
+
+  // The grid is a single Tab stop: only the active card's link and buttons are tabbable,
+  // arrow keys move between cards (up/down by on-screen position), Home/End jump to the ends.
+  let activeCardName = null;
+
+  const projectCards = () => (projectsEl ? Array.from(projectsEl.querySelectorAll('.card.project')) : []);
+  const cardFocusables = card => Array.from(card.querySelectorAll('a[href], button'));
+
+  // `hadFocus`: focus was inside the grid before a re-render and moves to the active card
+  function syncRovingFocus(hadFocus = false) {
+    const cards = projectCards();
+    const active = cards.find(c => c.dataset.name === activeCardName) || cards[0];
+    cards.forEach((card) => {
+      cardFocusables(card).forEach((node) => { node.tabIndex = card === active ? 0 : -1; });
+    });
+    if (hadFocus && active && !projectsEl.contains(document.activeElement)) {
+      const link = active.querySelector('.card-link');
+      if (link) link.focus({ preventScroll: true });
+    }
+  }
+
+  function focusCard(card) {
+    activeCardName = card.dataset.name;
+    syncRovingFocus();
+    const link = card.querySelector('.card-link');
+    if (link) link.focus();
+  }
+
+  function cardInDirection(cards, from, dir) {
+    const i = cards.indexOf(from);
+    if (dir === 'first') return cards[0];
+    if (dir === 'last') return cards[cards.length - 1];
+    if (dir === 'prev') return cards[i - 1] || null;
+    if (dir === 'next') return cards[i + 1] || null;
+    const r = from.getBoundingClientRect();
+    // no layout (print, tests): treat up/down like prev/next
+    if (!r.height) return cards[dir === 'up' ? i - 1 : i + 1] || null;
+    const centre = b => (b.left + b.right) / 2;
+    let best = null;
+    let bestScore = Infinity;
+    cards.forEach((card) => {
+      const b = card.getBoundingClientRect();
+      const rows = dir === 'down' ? b.top - r.bottom : r.top - b.bottom;
+      if (card === from || rows < -1) return;
+      // nearest row first, then the closest column within it
+      const score = rows * 10000 + Math.abs(centre(b) - centre(r));
+      if (score < bestScore) {
+        best = card;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  const KEY_DIRECTIONS = { ArrowLeft: 'prev', ArrowRight: 'next', ArrowUp: 'up', ArrowDown: 'down', Home: 'first', End: 'last' };
+
+  if (projectsEl) {
+    projectsEl.addEventListener('keydown', (e) => {
+      const dir = KEY_DIRECTIONS[e.key];
+      if (!dir || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      const card = e.target.closest && e.target.closest('.card.project');
+      const next = card && cardInDirection(projectCards(), card, dir);
+      if (!next) return;
+      e.preventDefault();
+      focusCard(next);
+    });
+    projectsEl.addEventListener('focusin', (e) => {
+      const card = e.target.closest && e.target.closest('.card.project');
+      if (card && card.dataset.name !== activeCardName) {
+        activeCardName = card.dataset.name;
+        syncRovingFocus();
+      }
+    });
+  }
+
+  /* ---------------------------
+     Search, tag filter & sorting
+  --------------------------- */
+
+  // Every whitespace-separated token must match: a substring scores high, an in-order
+  // subsequence ("cgd" -> "CatGirl Downloader") scores low. Returns 0 for no match.
+  function fuzzyScore(query, text) {
+    const hay = text.toLowerCase();
+    let total = 0;
+    for (const token of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+      if (hay.includes(token)) {
+        total += 10 + token.length;
+        continue;
+      }
+      let pos = 0;
+      for (const ch of token) {
+        pos = hay.indexOf(ch, pos);
+        if (pos === -1) return 0;
+        pos++;
+      }
+      total += 1;
+    }
+    return total || 1;
+  }
+
+  function projectHaystack(p) {
+    return [p.name, p.title, p.desc].map(safeText).join(' ');
+  }
+
+  // name -> { date, message, author } from the commits API (null when the lookup failed)
+  const commitInfo = new Map();
+
+  function updatedAt(p) {
+    const c = commitInfo.get(p.name);
+    const v = Date.parse((c && c.date) || p.date || '');
+    return Number.isNaN(v) ? 0 : v;
+  }
+
+  const sorters = {
+    pinned: compareProjects,
+    name: (a, b) => safeText(a.title || a.name).localeCompare(safeText(b.title || b.name), undefined, { sensitivity: 'base' }),
+    updated: (a, b) => updatedAt(b) - updatedAt(a) || compareProjects(a, b)
+  };
+
+  // With a query, better matches come first; the chosen sort orders equal scores.
+  function filteredProjects() {
+    const sorter = sorters[view.sort] || compareProjects;
+    const tagged = allProjects.filter(p => !view.tags.length || view.tags.every(t => (p.tags || []).includes(t)));
+    if (!view.q) return tagged.sort(sorter);
+    const scores = new Map(tagged.map(p => [p, fuzzyScore(view.q, projectHaystack(p))]));
+    return tagged
+      .filter(p => scores.get(p) > 0)
+      .sort((a, b) => scores.get(b) - scores.get(a) || sorter(a, b));
+  }
+
+  function applyView() {
+    renderProjects(filteredProjects(), allProjects.length ? t('grid.noMatch') : t('grid.empty'));
+    syncTagChips();
+  }
+
+  function setProjects(items) {
+    allProjects = items.slice();
+    // drop selected tags that no longer exist
+    const known = new Set(allProjects.flatMap(p => p.tags || []));
+    view.tags = view.tags.filter(t => known.has(t));
+    renderTagChips();
+    applyView();
+  }
+
+  // Swap one resolved project in place; only re-render everything when a filter is active
+  // (the new data may change whether it matches).
+  function updateProject(project) {
+    const i = allProjects.findIndex(p => p.name === project.name);
+    if (i === -1) allProjects.push(project);
+    else allProjects[i] = project;
+
+    if (view.q || view.tags.length) {
+      renderTagChips();
+      applyView();
+      return;
+    }
+    const node = projectsEl && Array.from(projectsEl.children).find(c => c.dataset && c.dataset.name === project.name);
+    if (node) {
+      const hadFocus = node.contains(document.activeElement);
+      const next = hydratedCard(project) || renderCard(project);
+      if (next !== node) node.replaceWith(next);
+      syncRovingFocus(hadFocus);
+    }
+    if ((project.tags || []).length) renderTagChips();
+    syncTagChips();
+  }
+
+  // Last commit touching a folder; goes through the ETag cache like every other API call.
+  async function fetchLastCommit(owner, repo, folder, opts = {}) {
+    const url = repoApiUrl(owner, repo, `commits?path=${encodeURIComponent(folder)}&per_page=1`);
+    const entry = await fetchGitHubCached(url, 'application/vnd.github.v3+json', opts);
+    const c = Array.isArray(entry.body) && entry.body[0];
+    if (!c || !c.commit) return null;
+    return {
+      date: c.commit.committer ? c.commit.committer.date : (c.commit.author && c.commit.author.date),
+      message: safeText(c.commit.message).split('\n')[0],
+      author: (c.author && c.author.login) || (c.commit.author && c.commit.author.name) || ''
+    };
+  }
+
+  // Fills commitInfo for every folder card after a scan. Cards update one by one; with
+  // "updated" sorting the grid is re-sorted once everything is in. `all` looks up folders
+  // that already have info too (a rescan): the old info stays on the card until the new one
+  // arrives, and fetchLastCommit's cache keeps that free within the TTL (304s after it).
+  // Folders asked for while a load runs are queued for the next one.
+  let commitLoad = null;
+  const commitQueue = new Set();
+  function loadCommitInfo(all = false) {
+    if (!detectedRepo || !preferApi) return commitLoad;
+    allProjects.forEach((p) => {
+      if (!p.url && (all || !commitInfo.has(p.name))) commitQueue.add(p.name);
+    });
+    if (commitLoad || !commitQueue.size) return commitLoad;
+    const names = Array.from(commitQueue);
+    commitQueue.clear();
+    commitLoad = runLimited(names, scanOptions.concurrency, async (name) => {
+      try {
+        commitInfo.set(name, await fetchLastCommit(detectedRepo.owner, detectedRepo.repo, name));
+      } catch (err) {
+        // rate limit / network: keep what we had, or fall back to the manifest date
+        console.warn('Commit lookup failed for', name, err);
+        if (!commitInfo.has(name)) commitInfo.set(name, null);
+      }
+      const current = allProjects.find(x => x.name === name);
+      if (current && view.sort !== 'updated') updateProject(current);
+    }).catch((err) => {
+      console.warn('Commit lookups failed:', err);
+    }).then(() => {
+      commitLoad = null;
+      if (view.sort === 'updated') applyView();
+      if (commitQueue.size) loadCommitInfo();
+    });
+    return commitLoad;
+  }
+
+  function renderTagChips() {
+    if (!tagFilterEl) return;
+    tagFilterEl.innerHTML = '';
+    const tags = Array.from(new Set(allProjects.flatMap(p => p.tags || []))).sort((a, b) => a.localeCompare(b));
+    tags.forEach((t) => {
+      const chip = createEl('button', { type: 'button', class: 'tag chip', 'data-tag': t, text: t });
+      chip.addEventListener('click', () => {
+        view.tags = view.tags.includes(t) ? view.tags.filter(x => x !== t) : view.tags.concat(t);
+        writeViewToUrl();
+        applyView();
+      });
+      tagFilterEl.appendChild(chip);
+    });
+  }
+
+  function syncTagChips() {
+    if (!tagFilterEl) return;
+    Array.from(tagFilterEl.querySelectorAll('[data-tag]')).forEach((chip) => {
+      const on = view.tags.includes(chip.getAttribute('data-tag'));
+      chip.classList.toggle('active', on);
+      chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+    });
+  }
+
+  // ?q=...&tags=a,b&sort=updated
+  function readViewFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    view.q = params.get('q') || '';
+    view.tags = (params.get('tags') || '').split(',').map(t => t.trim()).filter(Boolean);
+    view.sort = SORT_MODES.includes(params.get('sort')) ? params.get('sort') : 'pinned';
+  }
+
+  function writeViewToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const set = (k, v) => (v ? params.set(k, v) : params.delete(k));
+    set('q', view.q);
+    set('tags', view.tags.join(','));
+    set('sort', view.sort === 'pinned' ? '' : view.sort);
+    const qs = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`);
+  }
+
+  /* ---------------------------
+     Feeds (Atom, JSON Feed, sitemap.xml)
+  --------------------------- */
+
+  // The same builder (assets/feeds.js) that scripts/build-index.js uses for the committed
+  // feed.xml / feed.json / sitemap.xml, fed with the current scan instead: aggregated repos
+  // and plugin entries included, dates from the commit lookups once they're in.
+  const FEED_FILES = {
+    atom: ['feed.xml', 'application/atom+xml'],
+    jsonFeed: ['feed.json', 'application/feed+json'],
+    sitemap: ['sitemap.xml', 'application/xml']
+  };
+
+  // <meta name="pg-site-url"> (the published address) or wherever this page is served from
+  function feedSite() {
+    const metaContent = (name) => {
+      const m = document.querySelector(`meta[name="${name}"]`);
+      return m && m.content ? m.content.trim() : '';
+    };
+    const url = new URL(metaContent('pg-site-url') || './', window.location.href).href.replace(/\/?$/, '/');
+    return {
+      url,
+      title: document.title,
+      description: metaContent('description'),
+      lang: document.documentElement.lang,
+      author: metaContent('author'),
+      feedUrl: new URL('feed.xml', url).href,
+      jsonFeedUrl: new URL('feed.json', url).href,
+      updated: Date.now()
+    };
+  }
+
+  // kind: 'atom' | 'jsonFeed' | 'sitemap' -> file contents
+  function buildFeed(kind) {
+    if (!window.pgFeeds || !FEED_FILES[kind]) return null;
+    const projects = allProjects.map(p => Object.assign({}, p, { date: updatedAt(p) }));
+    return window.pgFeeds[kind](projects, feedSite());
+  }
+
+  function downloadFeed(kind) {
+    const text = buildFeed(kind);
+    if (text !== null) downloadFile(FEED_FILES[kind][0], text, FEED_FILES[kind][1]);
+  }
+
+  /* ---------------------------
+     Health checks
+  --------------------------- */
+
+  // Optional pass (#health-btn, window.pg.checkHealth()): loads every project's index.html
+  // and checks the same-origin files it references (stylesheets, scripts, images, links)
+  // for 404s. Results only live in memory; a badge on each card shows them.
+  const HEALTH_KEY = 'pg-health';
+  const HEALTH_MAX_REFS = 60;
+  let healthEnabled = localStorage.getItem(HEALTH_KEY) === '1';
+  // name -> { state: 'checking' | 'ok' | 'warn' | 'error', page: { url, status }, broken: [{ kind, url, status }], checked }
+  const healthInfo = new Map();
+  const healthOpen = new Set(); // cards with the details panel expanded
+  let healthRun = null;
+
+  // Same-origin references of a page, resolved, without fragments and duplicates.
+  function healthRefs(html, pageUrl) {
+    if (!window.pgMeta || typeof DOMParser === 'undefined') return [];
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const baseEl = doc.querySelector('base[href]');
+    let base = pageUrl;
+    try {
+      if (baseEl) base = new URL(baseEl.getAttribute('href'), pageUrl).href;
+    } catch (_) { /* keep the page URL */ }
+    const seen = new Set([pageUrl]);
+    const out = [];
+    window.pgMeta.references(doc).forEach((ref) => {
+      let u;
+      try {
+        u = new URL(ref.url, base);
+      } catch (_) {
+        return;
+      }
+      if (u.origin !== window.location.origin || !/^https?:$/.test(u.protocol)) return;
+      u.hash = '';
+      if (seen.has(u.href) || out.length >= HEALTH_MAX_REFS) return;
+      seen.add(u.href);
+      out.push({ kind: ref.kind, url: u.href });
+    });
+    return out;
+  }
+
+  // HEAD first; some static servers don't allow it, then a plain GET. 0 = network error.
+  async function probeStatus(url, signal) {
+    try {
+      let res = await fetchWithTimeout(url, { method: 'HEAD', cache: 'no-cache' }, signal);
+      if (res.status === 405 || res.status === 501) res = await fetchWithTimeout(url, { cache: 'no-cache' }, signal);
+      return res.status;
+    } catch (err) {
+      throwIfAborted(signal);
+      return 0;
+    }
+  }
+
+  async function checkProjectHealth(name, signal) {
+    const pageUrl = new URL(`${projectHref(name)}index.html`, window.location.href).href;
+    let res;
+    try {
+      res = await fetchWithTimeout(pageUrl, { cache: 'no-cache' }, signal);
+    } catch (err) {
+      throwIfAborted(signal);
+      return { state: 'error', page: { url: pageUrl, status: 0 }, broken: [], checked: 0 };
+    }
+    if (!res.ok) return { state: 'error', page: { url: pageUrl, status: res.status }, broken: [], checked: 0 };
+
+    const refs = healthRefs(await res.text(), pageUrl);
+    const broken = [];
+    await runLimited(refs, scanOptions.concurrency, async (ref) => {
+      const status = await probeStatus(ref.url, signal);
+      if (status === 0 || status >= 400) broken.push(Object.assign({ status }, ref));
+    }, signal);
+    broken.sort((a, b) => a.url.localeCompare(b.url));
+    return { state: broken.length ? 'warn' : 'ok', page: { url: pageUrl, status: res.status }, broken, checked: refs.length };
+  }
+
+  function refreshCard(name) {
+    const project = allProjects.find(p => p.name === name);
+    if (project) updateProject(project);
+  }
+
+  // Checks every folder project currently known (external `url` entries are skipped).
+  async function checkHealth() {
+    if (healthRun) healthRun.abort();
+    const ctrl = new AbortController();
+    healthRun = ctrl;
+    const targets = allProjects.filter(p => !p.url).map(p => p.name);
+    targets.forEach((name) => {
+      healthInfo.set(name, { state: 'checking', page: { url: '', status: 0 }, broken: [], checked: 0 });
+      refreshCard(name);
+    });
+    // keep a scan error (e.g. index.json problems) visible next to the health status
+    const before = lastStatus && lastStatus.isError ? lastStatus.msg : null;
+    const withBefore = fn => (before ? () => `${typeof before === 'function' ? before() : before} · ${fn()}` : fn);
+    setStatus(withBefore(() => t('status.healthChecking', { count: targets.length })), !!before);
+    try {
+      await runLimited(targets, scanOptions.concurrency, async (name) => {
+        const result = await checkProjectHealth(name, ctrl.signal);
+        throwIfAborted(ctrl.signal);
+        healthInfo.set(name, result);
+        refreshCard(name);
+      }, ctrl.signal);
+    } catch (err) {
+      if (ctrl.signal.aborted) return null;
+      throw err;
+    } finally {
+      if (healthRun === ctrl) healthRun = null;
+    }
+    const results = targets.map(name => healthInfo.get(name));
+    const summary = {
+      ok: results.filter(r => r.state === 'ok').length,
+      bad: results.filter(r => r.state !== 'ok').length
+    };
+    setStatus(withBefore(() => t('status.healthDone', summary)), !!before || summary.bad > 0);
+    return Object.fromEntries(targets.map(name => [name, healthInfo.get(name)]));
+  }
+
+  function setHealthEnabled(on) {
+    healthEnabled = !!on;
+    localStorage.setItem(HEALTH_KEY, healthEnabled ? '1' : '0');
+    renderButtonLabels();
+    if (healthEnabled) return checkHealth();
+    if (healthRun) healthRun.abort();
+    healthInfo.clear();
+    healthOpen.clear();
+    applyView();
+    return Promise.resolve(null);
+  }
+
+  /* ---------------------------
+     Extension API (plugins)
+  --------------------------- */
+
+  // Other scripts can extend the scan without forking this file (see README, "Плагіни"):
+  //   pg.registerSource(id, async ({ signal, repo }) => [{ name, title, description, url, ... }])
+  //   pg.registerEnricher(id, async (project, { signal }) => ({ tags: ['extra'] }))
+  //   pg.registerRenderer(type, (project, { defaultCard, createEl, t }) => element)
+  //   pg.on('scanstart' | 'item' | 'scandone' | 'error', detail => ...)
+  // Every register*/on call returns a function that undoes it. A failing plugin never breaks
+  // the scan: its error is logged and reported through the "error" event.
+  const plugins = { sources: new Map(), enrichers: new Map(), renderers: new Map() };
+  const PLUGIN_EVENTS = ['scanstart', 'item', 'scandone', 'error'];
+
+  // Events are plain CustomEvents on window ("pg:scandone", ...), like "pg:langchange".
+  function emit(name, detail) {
+    window.dispatchEvent(new CustomEvent(`pg:${name}`, { detail }));
+  }
+
+  function onEvent(name, fn) {
+    if (!PLUGIN_EVENTS.includes(name)) throw new TypeError(`Unknown event "${name}"; expected one of ${PLUGIN_EVENTS.join(', ')}`);
+    if (typeof fn !== 'function') throw new TypeError('Event handler must be a function');
+    const listener = e => fn(e.detail);
+    window.addEventListener(`pg:${name}`, listener);
+    return () => window.removeEventListener(`pg:${name}`, listener);
+  }
+
+  function register(kind, key, fn) {
+    if (typeof key !== 'string' || !key) throw new TypeError(`${kind}: expected a non-empty string id`);
+    if (typeof fn !== 'function') throw new TypeError(`${kind}: expected a function`);
+    plugins[kind].set(key, fn);
+    return () => {
+      if (plugins[kind].get(key) === fn) plugins[kind].delete(key);
+    };
+  }
+
+  function pluginError(stage, id, error, extra = {}) {
+    console.warn(`Plugin ${stage} "${id}" failed:`, error);
+    emit('error', Object.assign({ stage, id, error }, extra));
+  }
+
+  // Entries from every registered source, validated like index.json entries and tagged with
+  // the source id. Sources run in parallel; one failing (or returning junk) is skipped.
+  async function loadPluginSources(signal) {
+    const entries = new Map();
+    await Promise.all(Array.from(plugins.sources, async ([id, fn]) => {
+      const step = { stage: 'plugin-source', id };
+      try {
+        const items = await traced(diagSteps(signal), step, () => fn({ signal, repo: detectedRepo }));
+        throwIfAborted(signal);
+        const result = validateManifest({ projects: Array.isArray(items) ? items : [] });
+        Object.assign(step, { result: 'ok', count: result.entries.size });
+        result.errors.forEach(e => console.warn(`source "${id}":`, e));
+        result.entries.forEach((entry, name) => {
+          if (!entries.has(name)) entries.set(name, Object.assign(entry, { source: id }));
+        });
+      } catch (err) {
+        throwIfAborted(signal);
+        pluginError('source', id, err);
+      }
+    }));
+    return entries;
+  }
+
+  // Enrichers run in registration order; each returns fields to merge (or nothing).
+  async function enrichProject(project, signal) {
+    let out = project;
+    for (const [id, fn] of plugins.enrichers) {
+      try {
+        const extra = await fn(Object.assign({}, out), { signal });
+        throwIfAborted(signal);
+        if (extra && typeof extra === 'object') out = Object.assign({}, out, extra, { name: project.name });
+      } catch (err) {
+        throwIfAborted(signal);
+        pluginError('enricher', id, err, { name: project.name });
+      }
+    }
+    return out;
+  }
+
+  // Cards of a registered `type` come from the plugin; it gets the default card to reuse or
+  // wrap. The result keeps the "card project" classes and data-name so filtering, in-place
+  // updates and keyboard navigation work the same.
+  function renderCard(project) {
+    const renderer = project.type && plugins.renderers.get(project.type);
+    if (!renderer) return projectCard(project);
+    try {
+      const node = renderer(project, { defaultCard: () => projectCard(project), createEl, t });
+      if (!node || node.nodeType !== 1) throw new TypeError('renderer must return an element');
+      node.classList.add('card', 'project');
+      node.setAttribute('data-name', project.name);
+      return node;
+    } catch (err) {
+      pluginError('renderer', project.type, err, { name: project.name });
+      return projectCard(project);
+    }
+  }
+
+  /* ---------------------------
+     Main scanning routine
+  --------------------------- */
+
+  // Only one scan runs at a time: starting a new one (refresh, toggles, rate-limit resume)
+  // aborts the previous scan's requests, and a superseded scan never touches the grid.
+  let currentScan = null;
+
+  // opts.revalidate: ignore cache freshness and revalidate every GitHub response (ETag)
+  async function scanFolders(opts = {}) {
+    if (currentScan) currentScan.abort();
+    // offline: keep the last scan on screen (sw.js serves the page itself) and wait for "online"
+    if (navigator.onLine === false) {
+      currentScan = null;
+      diagStart(opts);
+      diagFinish(null, 'offline');
+      const cached = renderCachedScan() || allProjects.length > 0;
+      setStatus(() => (cached ? t('status.offlineCached') : t('status.offline')), !cached);
+      return;
+    }
+    const ctrl = new AbortController();
+    currentScan = ctrl;
+    if (projectsEl) projectsEl.setAttribute('aria-busy', 'true');
+    try {
+      await runScan({ revalidate: !!opts.revalidate, signal: ctrl.signal });
+    } catch (err) {
+      if (ctrl.signal.aborted) return;
+      diagFinish(ctrl.signal, 'error', { error: err.message });
+      emit('error', { stage: 'scan', error: err });
+      throw err;
+    } finally {
+      if (currentScan === ctrl) {
+        currentScan = null;
+        if (projectsEl) projectsEl.setAttribute('aria-busy', 'false');
+      }
+    }
+  }
+
+  async function runScan(opts) {
+    const { signal } = opts;
+    diagStart(opts);
+    setStatus(() => t('status.scanning'));
+    emit('scanstart', { repo: detectedRepo, mode: discoveryMode, preferApi });
+    let discovered = [];
+
+    // Step 0: read index.json if present; its entries are merged with discovery below
+    const manifest = await loadManifest(signal);
+    if (manifest.entries.size) setStatus(() => t('status.manifestLoaded', { count: manifest.entries.size }));
+    manifest.errors.forEach(e => console.warn('index.json:', e));
+
+    // Other repositories' Pages sites, each one isolated (see loadRepoEntries)
+    const repos = await aggregatedRepos(manifest, opts);
+    let failedRepos = [];
+    if (repos.length) {
+      setStatus(() => t('status.fetchingRepos', { count: repos.length }));
+      const remote = await loadRepoEntries(repos, signal);
+      failedRepos = remote.failed;
+      remote.entries.forEach((entry, name) => {
+        if (!manifest.entries.has(name)) manifest.entries.set(name, entry);
+      });
+    }
+
+    // Plugin sources add entries of their own; index.json fields win where both exist
+    if (plugins.sources.size) {
+      const extra = await loadPluginSources(signal);
+      extra.forEach((entry, name) => {
+        manifest.entries.set(name, Object.assign(entry, manifest.entries.get(name)));
+      });
+    }
+
+    // If repo detected and preferApi = true -> try GitHub API listing
+    const githubStage = discoveryMode === 'tree' ? 'github-tree' : 'github-contents';
+    if (!detectedRepo) diagSkip(signal, githubStage, 'no-repo');
+    else if (!preferApi) diagSkip(signal, githubStage, 'api-off');
+    if (detectedRepo && preferApi) {
+      const steps = diagSteps(signal);
+      try {
+        if (discoveryMode === 'tree') {
+          setStatus(() => t('status.fetchingTree'));
+          const step = { stage: githubStage, url: repoApiUrl(detectedRepo.owner, detectedRepo.repo, 'git/trees/HEAD?recursive=1') };
+          const tree = await traced(steps, step,
+            () => discoverFromTree(detectedRepo.owner, detectedRepo.repo, Object.assign({}, opts, { trace: step })));
+          discovered = tree.items;
+          Object.assign(step, { count: discovered.length }, tree.truncated ? { reason: 'truncated' } : {});
+          const count = discovered.length;
+          setStatus(() => t('status.treeFound', { count }) + (tree.truncated ? t('status.treeTruncated') : ''), tree.truncated);
+        } else {
+          setStatus(() => t('status.fetchingContents'));
+          const step = { stage: githubStage, url: contentsUrl(detectedRepo.owner, detectedRepo.repo, '') };
+          const entry = await traced(steps, step,
+            () => fetchGitHubCached(step.url, 'application/vnd.github.v3+json', Object.assign({}, opts, { trace: step })));
+          if (entry.status === 404) {
+            throw new Error('GitHub API 404');
+          }
+          const items = entry.body;
+          // items may include files and dirs; keep dirs and reasonable files
+          discovered = (items || []).filter(i => i.type === 'dir').map(i => ({ name: i.name }));
+          step.count = discovered.length;
+          const count = discovered.length;
+          setStatus(() => t('status.contentsFound', { count }));
+        }
+      } catch (err) {
+        throwIfAborted(signal);
+        console.warn('GitHub API error:', err);
+        emit('error', { stage: 'discovery', error: err });
+        setStatus(() => {
+          if (!err.rateLimited) return t('status.apiUnavailable');
+          return err.resetAt ? t('status.rateLimitedUntil', { time: formatTime(err.resetAt) }) : t('status.rateLimited');
+        }, true);
+        // continue to local heuristics
+        discovered = [];
+      }
+    }
+
+    // Local dev server without the API: read its directory listings when it serves them
+    if (discovered.length) diagSkip(signal, 'listing', 'github-found');
+    if (discovered.length === 0) {
+      setStatus(() => t('status.localListing'));
+      const listed = await discoverFromListings(signal);
+      if (listed) {
+        discovered = listed;
+        const count = listed.length;
+        setStatus(() => t('status.listingFound', { count }));
+      }
+    }
+
+    // Still nothing (no listing either): try local heuristics (common names)
+    if (discovered.length) diagSkip(signal, 'probe', 'already-found');
+    if (discovered.length === 0) {
+      setStatus(() => t('status.localScan'));
+      const common = ['projects', 'site', 'docs', 'IWantSomeCatGirls', 'assets', 'blog', 'examples'];
+      const found = [];
+      for (const name of common) {
+        try {
+          const url = `./${encodeURIComponent(name)}/index.html`;
+          const head = await traced(diagSteps(signal), { stage: 'probe', url: absoluteUrl(url) }, () => fetchWithTimeout(url, { method: 'HEAD' }, signal));
+          if (head.ok) found.push({ name });
+        } catch (e) {
+          // ignore network errors per-folder
+        }
+        throwIfAborted(signal);
+      }
+
+      // Additionally: heuristically try to parse root index.html for links to folders (simple approach)
+      try {
+        const step = { stage: 'root-links', url: absoluteUrl('./index.html') };
+        const rootText = await traced(diagSteps(signal), step, () => fetchWithTimeout('./index.html', { cache: 'no-cache' }, signal))
+          .then(r => (r.ok ? r.text() : null)).catch(() => null);
+        if (rootText) {
+          // find href="/folder/" or href="./folder/" or href="folder/"
+          const matches = Array.from(rootText.matchAll(/href=(?:'|")((?:\.\/)?([a-zA-Z0-9_\-]+)\/)(?:'|")/g));
+          const before = found.length;
+          for (const m of matches) {
+            const name = m[2];
+            if (name && !found.some(f => f.name === name)) found.push({ name });
+          }
+          step.count = found.length - before;
+        }
+      } catch (e) {
+        // ignore
+      }
+      throwIfAborted(signal);
+
+      discovered = found;
+    }
+
+    throwIfAborted(signal);
+
+    // Merge manifest entries that discovery didn't find (e.g. external links)
+    manifest.entries.forEach((entry, name) => {
+      if (!discovered.some(d => d.name === name)) discovered.push({ name });
+    });
+
+    // Filter out hidden/system names unless showHidden
+    const hidden = [];
+    discovered = discovered.filter((i) => {
+      if (showHidden) return true;
+      const entry = manifest.entries.get(i.name);
+      const keep = entry && entry.hidden !== undefined ? !entry.hidden : !isDefaultHidden(i.name);
+      if (!keep) hidden.push(i.name);
+      return keep;
+    });
+    if (hidden.length) diagSkip(signal, 'hidden', 'hidden', { names: hidden, count: hidden.length });
+
+    if (discovered.length === 0) {
+      diagFinish(signal, 'empty', { count: 0 });
+      setStatus(() => t('status.noneFound'), true);
+      setProjects([]);
+      emit('scandone', { projects: [], errors: manifest.errors });
+      return;
+    }
+
+    setStatus(() => t('status.foundFolders', { count: discovered.length }));
+
+    // Cards appear right away as placeholders (reusing what's already on screen, e.g. from
+    // the cache) and fill in one by one. For each folder, attempt: local index -> GitHub
+    // content -> fallback to name, then let the manifest override the scraped fields.
+    const previous = new Map(allProjects.map(p => [p.name, p]));
+    // (a generated snapshot only stands in for folders that aren't on screen yet)
+    const placeholders = discovered.map((item) => {
+      const entry = manifest.entries.get(item.name);
+      const base = previous.get(item.name);
+      if (!base) return Object.assign(applyManifest({ name: item.name, title: maybeDecodeName(item.name), desc: '' }, entry), { pending: true });
+      return Object.assign(applyManifest(base, splitGenerated(entry).manual), { pending: true });
+    });
+    placeholders.sort(compareProjects);
+    setProjects(placeholders);
+
+    let done = 0;
+    await runLimited(discovered, scanOptions.concurrency, async (item) => {
+      const entry = manifest.entries.get(item.name);
+      const { snapshot, manual } = splitGenerated(entry);
+      const record = diagFolder(signal, item.name);
+      const t0 = performance.now();
+      let scraped;
+      if (entry && !snapshot && entry.title && entry.description !== undefined) {
+        // manifest already supplies everything shown on the card: skip the lookups
+        scraped = { name: item.name, title: entry.title, desc: entry.description };
+        Object.assign(record, entry.origin ? { source: 'repo', via: entry.origin } : entry.source ? { source: 'plugin', via: entry.source } : { source: 'index.json' });
+        record.attempts.push({ source: 'local', result: 'skipped', reason: 'manifest-complete' });
+      } else {
+        scraped = await resolveProject(item.name, Object.assign({}, opts, { known: item.hasIndex ? item : null, diag: record }));
+        if (snapshot) {
+          const fellBack = record.source === 'name';
+          scraped = withSnapshot(scraped, snapshot, fellBack);
+          if (fellBack) record.source = 'index.json';
+        }
+      }
+      record.ms = Math.round(performance.now() - t0);
+      throwIfAborted(signal);
+      const project = await enrichProject(applyManifest(scraped, manual), signal);
+      updateProject(project);
+      done++;
+      const progress = { done, count: discovered.length };
+      setStatus(() => t('status.progress', progress));
+      emit('item', Object.assign({ project }, progress));
+    }, signal);
+
+    const results = allProjects.slice().sort(compareProjects);
+
+    setProjects(results);
+    cacheSet(scanCacheKey(), { status: 200, etag: null, body: results, showHidden, savedAt: Date.now() });
+    const errors = manifest.errors;
+    const failed = () => (failedRepos.length ? t('status.reposFailed', { count: failedRepos.length, repos: failedRepos.join(', ') }) : '');
+    setStatus(() => t('status.done', { count: results.length })
+      + (errors.length ? t('status.manifestErrors', { count: errors.length, errors: errors.join('; ') }) : '')
+      + failed(), errors.length > 0 || failedRepos.length > 0);
+    diagFinish(signal, 'done', { count: results.length, manifestErrors: errors, failedRepos });
+    emit('scandone', { projects: results.slice(), errors });
+
+    // a rescan may bring new folders or newer commits
+    loadCommitInfo(true);
+    if (healthEnabled) checkHealth();
+  }
+
+  // opts: { revalidate, signal, known, diag } — `diag` gets the attempts and the winning source
+  async function resolveProject(name, opts = {}) {
+    const record = opts.diag || { attempts: [] };
+    // 1) try local index (same-origin)
+    try {
+      const local = await fetchLocalIndex(name, opts.signal, record.attempts);
+      if (local) {
+        record.source = 'local';
+        record.attempts.push({ source: 'github', result: 'skipped', reason: 'local-found' });
+        return Object.assign({}, local, { name, title: local.title || name, desc: local.desc || '' });
+      }
+    } catch (_) { /* ignore */ }
+
+    // 2) try GitHub API (if repo is known)
+    if (detectedRepo) {
+      try {
+        const gh = await fetchFromGitHub(detectedRepo.owner, detectedRepo.repo, name, opts);
+        if (gh) {
+          record.source = 'github';
+          return Object.assign({}, gh, { name, title: gh.title || name, desc: gh.desc || '' });
+        }
+      } catch (err) {
+        throwIfAborted(opts.signal);
+        // if GitHub API failed, we will fall back to name; do not fail whole scan
+        console.warn('GitHub content fetch failed for', name, err);
+      }
+    } else {
+      record.attempts.push({ source: 'github', result: 'skipped', reason: 'no-repo' });
+    }
+
+    // 3) fallback: name only
+    record.source = 'name';
+    return { name, title: maybeDecodeName(name), desc: '' };
+  }
+
+  function scanCacheKey() {
+    return detectedRepo ? `scan:${detectedRepo.owner}/${detectedRepo.repo}:${discoveryMode}` : 'scan:local';
+  }
+
+  // Render the last scan result straight away; returns true when something was shown.
+  function renderCachedScan() {
+    const entry = cacheGet(scanCacheKey());
+    if (!entry || !Array.isArray(entry.body) || entry.showHidden !== showHidden) return false;
+    setProjects(entry.body);
+    return true;
+  }
+
+  /* ---------------------------
+     UI interactions & initialization
+  --------------------------- */
+
+  // `txt` may be a function returning the message, so it can be re-rendered when the
+  // language changes.
+  let lastStatus = null;
+  // The status is a live region: progress is announced politely, errors assertively, and
+  // they're marked with a class (icon + colour in style.css) rather than colour alone.
+  function setStatus(msg, isError = false) {
+    lastStatus = { msg, isError };
+    const txt = typeof msg === 'function' ? msg() : msg;
+    let target = statusEl || document.querySelector('#__pg_status');
+    if (!target) {
+      // try to create a small status under projects container
+      if (!projectsEl || !projectsEl.parentNode) return;
+      target = createEl('div', { id: '__pg_status', class: 'status muted', role: 'status', 'aria-atomic': 'true' });
+      projectsEl.parentNode.insertBefore(target, projectsEl.nextSibling);
+    }
+    target.classList.toggle('error', !!isError);
+    target.setAttribute('aria-live', isError ? 'assertive' : 'polite');
+    setText(target, txt);
+  }
+
+  // Theme: shared engine in assets/theme.js (loaded in <head>); the button flips
+  // dark/light, the sidebar select offers every variant.
+  const theme = window.pgTheme || null;
+  const refreshThemeLabels = theme ? theme.bindSwitcher(themeSelect, name => t(`theme.${name}`)) : () => {};
+
+  if (themeBtn && theme) {
+    themeBtn.addEventListener('click', () => theme.toggle());
+  }
+
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      scanFolders({ revalidate: true }).catch(err => console.error('scanFolders failed:', err));
+    });
+  }
+
+  if (showHiddenBtn) {
+    showHiddenBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      showHidden = !showHidden;
+      renderButtonLabels();
+      scanFolders().catch(err => console.warn('Rescan failed:', err));
+    });
+  }
+
+  if (tokenForm) {
+    tokenForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!tokenInput || !tokenInput.value.trim()) return;
+      setGithubToken(tokenInput.value);
+      scanFolders({ revalidate: true }).catch(err => console.error('scanFolders failed:', err));
+    });
+  }
+  if (tokenClearBtn) {
+    tokenClearBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      setGithubToken('');
+      scanFolders({ revalidate: true }).catch(err => console.error('scanFolders failed:', err));
+    });
+  }
+  renderTokenState();
+  renderRateLimit();
+
+  function setDiscoveryMode(mode) {
+    discoveryMode = mode === 'tree' ? 'tree' : 'contents';
+    localStorage.setItem(DISCOVERY_KEY, discoveryMode);
+    renderButtonLabels();
+    return scanFolders();
+  }
+
+  if (discoveryBtn) {
+    discoveryBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      setDiscoveryMode(discoveryMode === 'tree' ? 'contents' : 'tree').catch(err => console.warn('Rescan failed:', err));
+    });
+  }
+
+  if (healthBtn) {
+    healthBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      setHealthEnabled(!healthEnabled).catch(err => console.warn('Health check failed:', err));
+    });
+  }
+
+  if (diagnosticsBtn) {
+    diagnosticsBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      setDiagnosticsOpen(!diagnosticsOpen);
+    });
+  }
+
+  elAll('[data-feed]').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      downloadFeed(btn.getAttribute('data-feed'));
+    });
+  });
+
+  if (useApiBtn) {
+    useApiBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      preferApi = !preferApi;
+      renderButtonLabels();
+      scanFolders().catch(err => console.warn('Rescan failed:', err));
+    });
+  }
+
+  // Labels that depend on state; re-run on every toggle and language change.
+  function renderButtonLabels() {
+    setText(showHiddenBtn, showHidden ? t('btn.hideHidden') : t('btn.showHidden'));
+    setText(useApiBtn, preferApi ? t('btn.useApi') : t('btn.localMode'));
+    setText(discoveryBtn, discoveryMode === 'tree' ? t('btn.discoveryTree') : t('btn.discoveryRoot'));
+    setText(healthBtn, healthEnabled ? t('btn.healthOn') : t('btn.healthOff'));
+    if (healthBtn) healthBtn.setAttribute('aria-pressed', healthEnabled ? 'true' : 'false');
+    if (diagnosticsBtn) diagnosticsBtn.setAttribute('aria-pressed', diagnosticsOpen ? 'true' : 'false');
+  }
+  renderButtonLabels();
+  renderDiagnostics();
+
+  // Language: static markup is handled by i18n.apply(); dynamic parts re-render here.
+  i18n.bindSwitcher(langSelect);
+  i18n.apply();
+  i18n.onChange(() => {
+    renderButtonLabels();
+    renderRepoInfo();
+    renderRateLimit();
+    renderTokenState();
+    refreshThemeLabels();
+    applyView();
+    renderDiagnostics();
+    if (lastStatus) setStatus(lastStatus.msg, lastStatus.isError);
+  });
+
+  readViewFromUrl();
+  if (searchInput) {
+    searchInput.value = view.q;
+    searchInput.addEventListener('input', () => {
+      view.q = searchInput.value.trim();
+      writeViewToUrl();
+      applyView();
+    });
+    // "/" focuses the search from anywhere except text fields (and an open dialog)
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== '/' || e.altKey || e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable], dialog')) return;
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    });
+  }
+  if (sortSelect) {
+    sortSelect.value = view.sort;
+    sortSelect.addEventListener('change', () => {
+      view.sort = SORT_MODES.includes(sortSelect.value) ? sortSelect.value : 'pinned';
+      writeViewToUrl();
+      applyView();
+    });
+  }
+
+  // Initial scan: show the prerendered (or else the cached) grid immediately, then
+  // revalidate in the background
+  if (prerendered && !showHidden) setProjects(prerendered.projects);
+  else if (renderCachedScan()) setStatus(() => t('status.fromCache'));
+
+  // Slight delay to allow DOM to finish rendering if script is included in head
+  setTimeout(() => {
+    scanFolders().catch((err) => {
+      console.error('scanFolders failed:', err);
+      setStatus(() => t('status.failed'), true);
+    });
+  }, 50);
+
+  // Offline support: sw.js precaches the page and caches subprojects as they're visited
+  window.addEventListener('offline', () => scanFolders().catch(err => console.warn('Rescan failed:', err)));
+  window.addEventListener('online', () => scanFolders().catch(err => console.warn('Rescan failed:', err)));
+  if ('serviceWorker' in navigator && window.isSecureContext) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('./sw.js').catch(err => console.warn('Service worker registration failed:', err));
+    });
+  }
+
+  /* Expose tiny debug API */
+  window.pg = window.pg || {};
+  window.pg.scan = scanFolders;
+  window.pg.setPreferApi = (v) => {
+    preferApi = !!v;
+    renderButtonLabels();
+    return scanFolders();
+  };
+  window.pg.setShowHidden = (v) => {
+    showHidden = !!v;
+    renderButtonLabels();
+    return scanFolders();
+  };
+
+  window.pg.setDiscoveryMode = setDiscoveryMode;
+  // window.pg.checkHealth() -> { name: { state, page, broken, checked } }
+  window.pg.checkHealth = checkHealth;
+  window.pg.setHealthChecks = setHealthEnabled;
+  window.pg.setLang = (lang) => i18n.setLang(lang);
+  window.pg.setTheme = (name) => (theme ? theme.set(name) : null);
+  // window.pg.configureScan({ concurrency: 2, timeout: 5000 })
+  window.pg.configureScan = (o = {}) => {
+    if (Number.isFinite(o.concurrency) && o.concurrency >= 1) scanOptions.concurrency = Math.floor(o.concurrency);
+    if (Number.isFinite(o.timeout) && o.timeout > 0) scanOptions.timeout = o.timeout;
+    return Object.assign({}, scanOptions);
+  };
+  window.pg.setToken = (token) => {
+    setGithubToken(token);
+    return scanFolders({ revalidate: true });
+  };
+  window.pg.rateLimit = () => Object.assign({ limitedUntil: rateLimitedUntil() || null }, rateLimit);
+  // window.pg.diagnostics() -> report of the last scan (what #diagnostics shows / exports)
+  window.pg.diagnostics = diagnosticsSnapshot;
+  window.pg.setDiagnostics = setDiagnosticsOpen;
+  // window.pg.feed('atom' | 'jsonFeed' | 'sitemap') -> the text the [data-feed] buttons download
+  window.pg.feed = buildFeed;
+
+  // cache controls: window.pg.cache.inspect() / .clear() / .setTtl(ms)
+  window.pg.cache = {
+    inspect() {
+      const now = Date.now();
+      return {
+        ttl: cacheTtl(),
+        stats: Object.assign({}, cacheStats),
+        entries: cacheKeys().map((key) => {
+          const e = cacheGet(key) || {};
+          return { key, status: e.status, etag: e.etag || null, age: now - (e.savedAt || 0), fresh: isFresh(e) };
+        })
+      };
+    },
+    clear: cacheClear,
+    setTtl(ms) {
+      const v = Math.max(0, Number(ms) || 0);
+      localStorage.setItem(CACHE_TTL_KEY, String(v));
+      return v;
+    }
+  };
+
+  // expose detection result
+  window.pg.repo = detectedRepo || null;
+
+  // extension API (see "Extension API (plugins)" above)
+  window.pg.registerSource = (id, fn) => register('sources', id, fn);
+  window.pg.registerEnricher = (id, fn) => register('enrichers', id, fn);
+  window.pg.registerRenderer = (type, fn) => register('renderers', type, fn);
+  window.pg.on = onEvent;
+  window.pg.projects = () => allProjects.map(p => Object.assign({}, p));
+
+  // Plugins loaded before this script queue themselves in window.pgPlugins (functions taking
+  // window.pg); they run now, before the first scan. Later pushes run immediately; such
+  // plugins call pg.scan() themselves if they need a rescan.
+  const queued = Array.isArray(window.pgPlugins) ? window.pgPlugins : [];
+  window.pgPlugins = { push: (...fns) => fns.forEach(runPlugin) };
+  queued.forEach(runPlugin);
+
+  function runPlugin(fn) {
+    try {
+      fn(window.pg);
+    } catch (err) {
+      pluginError('plugin', fn.name || 'anonymous', err);
+    }
+  }
 
 })();
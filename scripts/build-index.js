@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/* Build-time generator for index.json, prerendered project cards and feeds
+ *
+ *   node scripts/build-index.js          write index.json, feeds and update index.html
+ *   node scripts/build-index.js --check  exit with code 1 if any output is out of date
+ *   --site-url=https://example.com/      absolute site address for the feeds (see below)
+ *
+ * What it does:
+ * - Walks the repository: every top-level folder is a project (like the /contents/ listing),
+ *   nested folders are projects when they hold an index.html (like the Git Trees mode).
+ *   Hidden names (.git, node_modules, scripts, assets, dot-folders) are skipped.
+ * - Extracts title/description/Open Graph image/favicon/theme-color/lang with the same rules
+ *   as the browser (assets/meta.js on index.html, assets/markdown.js excerpt of README.md),
+ *   using a small HTML parser instead of DOMParser (scripts/html-document.js).
+ * - Writes index.json: hand-written fields (tags, pinned, weight, hidden, url, thumbnail,
+ *   date) are kept; scraped fields (title, description, image, icon, themeColor, lang) are
+ *   regenerated on every run and the entry is marked "generated": true, so the browser
+ *   treats them as a snapshot to refresh rather than as overrides. Commit dates are left to
+ *   the browser (commits API), so a commit to a project folder doesn't make the outputs stale.
+ * - Replaces everything between <!-- pg:cards:start --> and <!-- pg:cards:end --> in
+ *   index.html with card markup (same structure as projectCard() in script.js) plus the
+ *   project data as JSON, which script.js hydrates instead of rebuilding.
+ * - Writes feed.xml (Atom), feed.json (JSON Feed) and sitemap.xml with assets/feeds.js, the
+ *   same builder as the page's download buttons. They need the absolute site address:
+ *   --site-url, <meta name="pg-site-url"> or the Pages URL of <meta name="gh-owner"> +
+ *   <meta name="gh-repo"> in index.html; without one the feeds are skipped.
+ * - Stamps VERSION in sw.js with a hash of every file the site serves (what it precaches and
+ *   what it caches at runtime, subprojects included), so a deploy that changes any of them
+ *   replaces the service worker's caches.
+ *
+ * No dependencies; runs on Node 18+.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const meta = require('../assets/meta.js');
+const markdown = require('../assets/markdown.js');
+const feeds = require('../assets/feeds.js');
+const i18n = require('../assets/i18n.js');
+const { parseHtml } = require('./html-document');
+
+const MANIFEST_PATH = path.join(ROOT, 'index.json');
+const PAGE_PATH = path.join(ROOT, 'index.html');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const START_MARK = '<!-- pg:cards:start -->';
+const END_MARK = '<!-- pg:cards:end -->';
+// output file -> assets/feeds.js builder
+const FEEDS = [['feed.xml', 'atom'], ['feed.json', 'jsonFeed'], ['sitemap.xml', 'sitemap']];
+
+// keep in sync with defaultHidden in script.js
+const HIDDEN = ['.github', '.git', 'node_modules', 'scripts', 'assets'];
+const MAX_DEPTH = 4;
+// fields the generator owns; everything else in an entry is hand-written and preserved
+const GENERATED = ['title', 'description', 'image', 'icon', 'themeColor', 'lang', 'generated'];
+
+const t = i18n.t;
+const escapeHtml = markdown.escapeHtml;
+
+/* ---------------------------
+   Discovery
+--------------------------- */
+
+const isHiddenName = name => name.startsWith('.') || HIDDEN.includes(name);
+const exists = p => fs.existsSync(p);
+const readmeOf = dir => ['README.md', 'readme.md'].map(f => path.join(dir, f)).find(exists) || null;
+
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && !isHiddenName(d.name))
+    .map(d => d.name)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// -> [{ name: 'games/snake', dir: '/abs/games/snake' }]
+function discover() {
+  const found = [];
+  const walk = (rel, depth) => {
+    const dir = path.join(ROOT, rel);
+    listDirs(dir).forEach((name) => {
+      const childRel = rel ? `${rel}/${name}` : name;
+      const childDir = path.join(ROOT, childRel);
+      if (depth === 0 || exists(path.join(childDir, 'index.html'))) found.push({ name: childRel, dir: childDir });
+      if (depth + 1 < MAX_DEPTH) walk(childRel, depth + 1);
+    });
+  };
+  walk('', 0);
+  return found;
+}
+
+/* ---------------------------
+   Metadata (same rules as fetchLocalIndex / fetchFromGitHub)
+--------------------------- */
+
+// image/icon stay relative to the project folder; script.js resolves them like thumbnails
+function scrape({ name, dir }) {
+  const indexPath = path.join(dir, 'index.html');
+  if (exists(indexPath)) {
+    const m = meta.extract(parseHtml(fs.readFileSync(indexPath, 'utf8')), '');
+    return {
+      title: m.title || name,
+      description: m.desc || '',
+      image: m.image,
+      icon: m.icon,
+      themeColor: m.themeColor,
+      lang: m.lang
+    };
+  }
+  const readme = readmeOf(dir);
+  return {
+    title: name,
+    description: readme ? markdown.excerpt(fs.readFileSync(readme, 'utf8'), 300) : ''
+  };
+}
+
+/* ---------------------------
+   index.json
+--------------------------- */
+
+function readManifest() {
+  if (!exists(MANIFEST_PATH)) return { extra: {}, entries: new Map() };
+  const idx = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const entries = new Map();
+  ['folders', 'projects'].forEach((key) => {
+    (Array.isArray(idx[key]) ? idx[key] : []).forEach((v) => {
+      const obj = typeof v === 'string' ? { name: v } : v;
+      if (obj && typeof obj.name === 'string' && !entries.has(obj.name)) entries.set(obj.name, obj);
+    });
+  });
+  const extra = Object.assign({}, idx);
+  delete extra.folders;
+  delete extra.projects;
+  return { extra, entries };
+}
+
+function withoutEmpty(obj) {
+  const out = {};
+  Object.keys(obj).forEach((k) => {
+    if (obj[k] !== '' && obj[k] !== undefined && obj[k] !== null) out[k] = obj[k];
+  });
+  return out;
+}
+
+function buildManifest(previous, discovered) {
+  const projects = [];
+  const seen = new Set();
+  discovered.forEach((item) => {
+    const old = previous.entries.get(item.name) || {};
+    const manual = {};
+    Object.keys(old).forEach((k) => {
+      if (k !== 'name' && !GENERATED.includes(k)) manual[k] = old[k];
+    });
+    // the flag tells the browser these fields are a snapshot to refresh, not overrides
+    const generated = Object.assign(withoutEmpty(scrape(item)), { generated: true });
+    projects.push(Object.assign({ name: item.name }, generated, manual));
+    seen.add(item.name);
+  });
+  // hand-written entries without a folder (external links, hidden pages) stay as they were
+  previous.entries.forEach((entry, name) => {
+    if (!seen.has(name)) projects.push(Object.assign({}, entry));
+  });
+  return Object.assign({}, previous.extra, { projects });
+}
+
+/* ---------------------------
+   Card markup (mirrors applyManifest / compareProjects / projectCard in script.js)
+--------------------------- */
+
+const projectHref = name => `./${name.split('/').map(encodeURIComponent).join('/')}/`;
+
+function resolveProjectAsset(name, p) {
+  if (!p) return '';
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/)/i.test(p)) return p;
+  return `${projectHref(name)}${p.replace(/^\.\//, '')}`;
+}
+
+// index.json entry -> the project object script.js would build from it
+function toProject(entry) {
+  const p = { name: entry.name, title: entry.title || entry.name, desc: entry.description || '' };
+  ['tags', 'url', 'pinned', 'weight', 'date', 'themeColor', 'lang', 'type'].forEach((k) => {
+    if (entry[k] !== undefined) p[k] = entry[k];
+  });
+  ['thumbnail', 'image', 'icon'].forEach((k) => {
+    if (entry[k]) p[k] = resolveProjectAsset(entry.name, entry[k]);
+  });
+  return p;
+}
+
+// same rule as isSafeUrl() in script.js: http(s) or relative card links only
+function isSafeUrl(v) {
+  const s = v.replace(/[\t\n\r]/g, '').replace(/^[\x00-\x20]+/, '');
+  return /^https?:/i.test(s) || !/^[a-z][a-z0-9+.-]*:/i.test(s);
+}
+
+function compareProjects(a, b) {
+  if (!!b.pinned !== !!a.pinned) return b.pinned ? 1 : -1;
+  const w = (b.weight || 0) - (a.weight || 0);
+  if (w) return w;
+  return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+}
+
+const attr = (name, value) => (value ? ` ${name}="${escapeHtml(value)}"` : '');
+
+function cardHtml(p) {
+  const accent = p.themeColor && /^#[0-9a-f]{3,8}$|^(?:rgb|hsl)a?\([\d\s.,%]+\)$/i.test(p.themeColor)
+    ? ` style="--card-accent: ${escapeHtml(p.themeColor)}"` : '';
+  const external = p.url && /^https?:/i.test(p.url) ? ' rel="noopener noreferrer"' : '';
+  const thumb = p.thumbnail || p.image;
+  const lang = attr('lang', p.lang);
+  const parts = [`<div class="card project" data-name="${escapeHtml(p.name)}" data-prerendered${accent}>`];
+  if (thumb) parts.push(`<img class="card-thumb" src="${escapeHtml(thumb)}" alt="" loading="lazy">`);
+  parts.push(`<h3${lang}>${p.icon ? `<img class="card-icon" src="${escapeHtml(p.icon)}" alt="" width="16" height="16">` : ''}`
+    + `<a class="link card-link" href="${escapeHtml(p.url || projectHref(p.name))}" aria-label="${escapeHtml(t('card.open', { name: p.name }))}"${external}>${escapeHtml(p.title || p.name)}</a></h3>`);
+  if (p.desc) parts.push(`<p${lang}>${escapeHtml(p.desc)}</p>`);
+  if (p.tags && p.tags.length) parts.push(`<div class="tags">${p.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>`);
+  parts.push('<div class="meta">'
+    + `<span class="pill">${escapeHtml(p.pinned ? t('card.pinned') : t('card.folder'))}</span>`
+    + `<span class="small muted">${escapeHtml(p.name)}</span>`
+    + (p.url ? '' : `<button type="button" class="btn ghost small preview-btn" aria-haspopup="dialog">${escapeHtml(t('card.preview'))}</button>`)
+    + '</div>');
+  parts.push('</div>');
+  return parts.join('');
+}
+
+// Same grouping as renderProjects(): top-level first, nested ones under "parent/" headings.
+function cardsHtml(projects, indent) {
+  const groups = new Map();
+  projects.forEach((p) => {
+    const parent = p.name.includes('/') ? p.name.slice(0, p.name.lastIndexOf('/')) : '';
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push(p);
+  });
+  const lines = [];
+  Array.from(groups.keys()).sort((a, b) => (a ? (b ? a.localeCompare(b) : 1) : -1)).forEach((parent) => {
+    if (parent) lines.push(`<h3 class="group-title">${escapeHtml(parent)}/</h3>`);
+    groups.get(parent).forEach(p => lines.push(cardHtml(p)));
+  });
+  // "<" is escaped so the JSON can't close the <script> element early
+  const data = JSON.stringify({ lang: i18n.lang, projects }).replace(/</g, '\\u003c');
+  lines.push(`<script type="application/json" id="pg-prerendered">${data}</script>`);
+  return lines.map(l => indent + l).join('\n');
+}
+
+function injectCards(page, projects) {
+  const start = page.indexOf(START_MARK);
+  const end = page.indexOf(END_MARK);
+  if (start === -1 || end < start) throw new Error(`index.html: markers ${START_MARK} / ${END_MARK} not found`);
+  const lineStart = page.lastIndexOf('\n', start) + 1;
+  const indent = page.slice(lineStart, start).match(/^\s*/)[0];
+  return `${page.slice(0, start + START_MARK.length)}\n${cardsHtml(projects, indent)}\n${indent}${page.slice(end)}`;
+}
+
+/* ---------------------------
+   Feeds and sitemap
+--------------------------- */
+
+// same rule as pagesUrl() in script.js
+function pagesUrl(owner, repo) {
+  const host = `https://${owner.toLowerCase()}.github.io/`;
+  return repo.toLowerCase() === `${owner.toLowerCase()}.github.io` ? host : `${host}${encodeURIComponent(repo)}/`;
+}
+
+// Feed metadata from index.html; null when no absolute site address is known.
+function siteInfo(page) {
+  const doc = parseHtml(page);
+  const metaContent = (name) => {
+    const m = doc.querySelector(`meta[name="${name}"]`);
+    return m ? (m.getAttribute('content') || '').trim() : '';
+  };
+  const arg = process.argv.find(a => a.startsWith('--site-url='));
+  let url = arg ? arg.slice('--site-url='.length) : metaContent('pg-site-url');
+  if (!url && metaContent('gh-owner') && metaContent('gh-repo')) url = pagesUrl(metaContent('gh-owner'), metaContent('gh-repo'));
+  if (!url) return null;
+  url = new URL(url).href.replace(/\/?$/, '/');
+  const m = meta.extract(doc, '');
+  return {
+    url,
+    title: m.title || url,
+    description: m.desc,
+    lang: m.lang,
+    author: metaContent('author'),
+    feedUrl: new URL('feed.xml', url).href,
+    jsonFeedUrl: new URL('feed.json', url).href,
+    // only hand-written `date`s reach the build; a fixed fallback keeps --check stable
+    updated: '1970-01-01T00:00:00Z'
+  };
+}
+
+/* ---------------------------
+   sw.js cache version
+--------------------------- */
+
+// not served to the service worker's pages: tooling and sw.js itself (it holds the hash)
+const isUnserved = rel => rel === 'sw.js' || rel.split('/').some(part => part.startsWith('.') || part === 'node_modules' || part === 'scripts');
+
+function walkFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((d) => {
+    const rel = prefix + d.name;
+    if (isUnserved(rel)) return [];
+    return d.isDirectory() ? walkFiles(path.join(dir, d.name), `${rel}/`) : d.isFile() ? [rel] : [];
+  });
+}
+
+// Files the site serves, relative to ROOT: what git tracks (plus new files it doesn't
+// ignore), or a walk of the folder outside a git checkout.
+function servedFiles() {
+  let files;
+  try {
+    files = execFileSync('git', ['ls-files', '--cached', '--others', '--exclude-standard', '-z'], { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 })
+      .split('\0').filter(Boolean);
+  } catch (_) {
+    files = walkFiles(ROOT);
+  }
+  return Array.from(new Set(files)).filter(rel => !isUnserved(rel) && exists(path.join(ROOT, rel))).sort();
+}
+
+// `pending` holds outputs of this run that aren't written yet (index.html with new cards,
+// index.json, feeds)
+function stampServiceWorker(sw, pending) {
+  const list = sw.match(/const SHELL = \[([\s\S]*?)\];/);
+  if (!list) throw new Error('sw.js: SHELL list not found');
+  Array.from(list[1].matchAll(/'([^']+)'/g), m => m[1]).forEach((rel) => {
+    const file = path.join(ROOT, rel === './' ? 'index.html' : rel);
+    if (!pending.has(file) && !exists(file)) throw new Error(`sw.js: precached file ${rel} does not exist`);
+  });
+  const files = new Set(servedFiles());
+  pending.forEach((_, file) => files.add(path.relative(ROOT, file).split(path.sep).join('/')));
+  const hash = crypto.createHash('sha256');
+  Array.from(files).sort().forEach((rel) => {
+    const file = path.join(ROOT, rel);
+    hash.update(`${rel}\0`);
+    hash.update(pending.has(file) ? pending.get(file) : fs.readFileSync(file));
+  });
+  return sw.replace(/const VERSION = '[^']*';/, `const VERSION = '${hash.digest('hex').slice(0, 12)}';`);
+}
+
+/* ---------------------------
+   Main
+--------------------------- */
+
+function main() {
+  const check = process.argv.includes('--check');
+  const manifest = buildManifest(readManifest(), discover());
+  const projects = manifest.projects
+    .filter((e) => {
+      if (e.url === undefined || (typeof e.url === 'string' && isSafeUrl(e.url))) return !e.hidden;
+      console.warn(`index.json: "${e.name}": "url" must be an http(s) or relative address, entry skipped`);
+      return false;
+    })
+    .map(toProject)
+    .sort(compareProjects);
+
+  const page = fs.readFileSync(PAGE_PATH, 'utf8');
+  const outputs = [
+    [MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`],
+    [PAGE_PATH, injectCards(page, projects)]
+  ];
+  const site = siteInfo(page);
+  if (site) FEEDS.forEach(([file, build]) => outputs.push([path.join(ROOT, file), feeds[build](projects, site)]));
+  else console.warn('feeds skipped: no site address (--site-url or <meta name="pg-site-url"> in index.html)');
+  if (exists(SW_PATH)) outputs.push([SW_PATH, stampServiceWorker(fs.readFileSync(SW_PATH, 'utf8'), new Map(outputs))]);
+
+  let stale = 0;
+  outputs.forEach(([file, content]) => {
+    const current = exists(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (current === content) return;
+    stale++;
+    if (check) console.error(`out of date: ${path.relative(ROOT, file)}`);
+    else fs.writeFileSync(file, content);
+  });
+
+  if (check) {
+    if (stale) {
+      console.error('run: node scripts/build-index.js');
+      process.exitCode = 1;
+    }
+    return;
+  }
+  console.log(`${projects.length} project(s); ${stale ? `updated ${stale} file(s)` : 'already up to date'}`);
+}
+
+main();
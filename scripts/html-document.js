@@ -0,0 +1,196 @@
+/* Minimal HTML document for Node (no dependencies)
+ *
+ * Node has no DOMParser, but assets/meta.js only needs a Document-like object with
+ * querySelector/querySelectorAll, getAttribute, textContent and documentElement. This
+ * parser builds just enough of a tree for that:
+ *   - elements, text, comments (dropped), raw-text elements (script/style/textarea/title)
+ *   - void elements, implicit closing of <p>/<li>/<option>, tolerant of stray end tags
+ *   - named (common) and numeric character references
+ * Selectors: comma-separated compounds of an optional tag name plus attribute tests,
+ * e.g. 'link[rel][href]', 'meta[name="description"]', 'video[src], source[src]'.
+ * Combinators (descendant, child, ...) are not supported and throw.
+ *
+ * Usage: const { parseHtml } = require('./html-document'); const doc = parseHtml(html);
+ */
+
+'use strict';
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+// opening one of these closes an open <p>
+const CLOSES_P = new Set(['address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    const named = ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : m;
+  });
+}
+
+class TextNode {
+  constructor(text) {
+    this.nodeType = 3;
+    this.text = text;
+  }
+
+  get textContent() {
+    return this.text;
+  }
+}
+
+class Element {
+  constructor(tagName, attrs = new Map()) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.attrs = attrs;
+    this.children = [];
+    this.parent = null;
+  }
+
+  getAttribute(name) {
+    const v = this.attrs.get(String(name).toLowerCase());
+    return v === undefined ? null : v;
+  }
+
+  hasAttribute(name) {
+    return this.attrs.has(String(name).toLowerCase());
+  }
+
+  get textContent() {
+    return this.children.map(c => c.textContent).join('');
+  }
+
+  append(node) {
+    if (node.nodeType === 1) node.parent = this;
+    this.children.push(node);
+  }
+
+  // depth-first, document order
+  *descendants() {
+    for (const c of this.children) {
+      if (c.nodeType !== 1) continue;
+      yield c;
+      yield* c.descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const tests = compileSelector(selector);
+    const out = [];
+    for (const node of this.descendants()) {
+      if (tests.some(test => test(node))) out.push(node);
+    }
+    return out;
+  }
+
+  querySelector(selector) {
+    const tests = compileSelector(selector);
+    for (const node of this.descendants()) {
+      if (tests.some(test => test(node))) return node;
+    }
+    return null;
+  }
+}
+
+const selectorCache = new Map();
+
+function compileSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+  const tests = selector.split(',').map((part) => {
+    const src = part.trim();
+    const m = src.match(/^([a-z][a-z0-9-]*|\*)?((?:\[[^\]]+\])*)$/i);
+    if (!m) throw new Error(`Unsupported selector: ${src}`);
+    const tag = m[1] && m[1] !== '*' ? m[1].toLowerCase() : null;
+    const attrTests = Array.from(m[2].matchAll(/\[\s*([^\s=\]]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g)).map((a) => {
+      const name = a[1].toLowerCase();
+      const value = a[2] !== undefined ? a[2] : a[3] !== undefined ? a[3] : a[4];
+      return value === undefined ? node => node.hasAttribute(name) : node => node.getAttribute(name) === value;
+    });
+    return node => (!tag || node.tagName === tag) && attrTests.every(test => test(node));
+  });
+  selectorCache.set(selector, tests);
+  return tests;
+}
+
+function parseAttributes(src) {
+  const attrs = new Map();
+  const re = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const name = m[1].toLowerCase();
+    if (attrs.has(name)) continue; // first occurrence wins, like browsers
+    const raw = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+    attrs.set(name, decodeEntities(raw));
+  }
+  return attrs;
+}
+
+function parseHtml(html) {
+  const src = String(html || '');
+  const root = new Element('#document');
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+
+  const closeTo = (tag) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tagName === tag) {
+        stack.length = i;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const tokens = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\/([a-z][a-z0-9-]*)\s*>|<([a-z][a-z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+  let last = 0;
+  let m;
+  while ((m = tokens.exec(src))) {
+    if (m.index > last) top().append(new TextNode(decodeEntities(src.slice(last, m.index))));
+    last = tokens.lastIndex;
+
+    if (m[1]) {
+      closeTo(m[1].toLowerCase());
+      continue;
+    }
+    if (!m[2]) continue; // comment or doctype
+
+    const tag = m[2].toLowerCase();
+    const cur = top().tagName;
+    if ((CLOSES_P.has(tag) && cur === 'p') || (tag === 'li' && cur === 'li') || (tag === 'option' && cur === 'option')) {
+      stack.pop();
+    }
+    const node = new Element(tag, parseAttributes(m[3] || ''));
+    top().append(node);
+    if (VOID.has(tag) || /\/\s*$/.test(m[3] || '')) continue;
+
+    if (RAW_TEXT.has(tag)) {
+      const end = new RegExp(`</${tag}\\s*>`, 'ig');
+      end.lastIndex = last;
+      const close = end.exec(src);
+      const text = src.slice(last, close ? close.index : src.length);
+      // <title>/<textarea> content is text with entities; script/style is taken literally
+      node.append(new TextNode(tag === 'title' || tag === 'textarea' ? decodeEntities(text) : text));
+      last = close ? end.lastIndex : src.length;
+      tokens.lastIndex = last;
+      continue;
+    }
+    stack.push(node);
+  }
+  if (last < src.length) top().append(new TextNode(decodeEntities(src.slice(last))));
+
+  const htmlEl = root.querySelector('html');
+  return {
+    documentElement: htmlEl || root,
+    querySelector: s => root.querySelector(s),
+    querySelectorAll: s => root.querySelectorAll(s)
+  };
+}
+
+module.exports = { parseHtml, decodeEntities };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/* Local dev server for the portfolio
+ *
+ *   node scripts/serve.js              serve the repository on http://localhost:8000/
+ *   --port=8080                        another port (or PORT=8080)
+ *
+ * A plain static server, except that it lists folders the way script.js's listing
+ * discovery expects:
+ * - a folder with index.html serves the page, a folder without one gets an "Index of"
+ *   listing (nested containers like games/ are walked that way);
+ * - /__listing/<path> lists <path> even when it has an index.html. The root always has
+ *   one (the portfolio itself), so this is where <meta name="pg-listing"> in index.html
+ *   points; on GitHub Pages that address is a 404 and the page moves on to its other
+ *   discovery steps.
+ *
+ * No dependencies; runs on Node 18+.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const ROOT = path.resolve(__dirname, '..');
+const LISTING_PREFIX = '/__listing/';
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const escapeHtml = s => String(s).replace(/[&<>"]/g, c => ESCAPES[c]);
+
+// URL path -> absolute file path inside ROOT, or null for anything that escapes it
+function resolvePath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (_) {
+    return null;
+  }
+  const file = path.join(ROOT, path.normalize(decoded));
+  return file === ROOT || file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+// Same shape as nginx/Apache autoindex: <title>Index of …</title> and "name/" links
+function listingHtml(urlPath, dir) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => !d.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((d) => {
+      const name = d.isDirectory() ? `${d.name}/` : d.name;
+      return `<li><a href="${escapeHtml(encodeURIComponent(d.name) + (d.isDirectory() ? '/' : ''))}">${escapeHtml(name)}</a></li>`;
+    });
+  const title = `Index of ${escapeHtml(urlPath)}`;
+  return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${title}</title></head>\n`
+    + `<body><h1>${title}</h1><ul>${urlPath === '/' ? '' : '<li><a href="../">../</a></li>'}${entries.join('')}</ul></body></html>\n`;
+}
+
+function send(res, status, type, body, head) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+  res.end(head ? undefined : body);
+}
+
+function handle(req, res) {
+  const head = req.method === 'HEAD';
+  if (req.method !== 'GET' && !head) return send(res, 405, 'text/plain; charset=utf-8', 'Method Not Allowed', head);
+  const urlPath = new URL(req.url, 'http://localhost').pathname;
+  const listOnly = urlPath.startsWith(LISTING_PREFIX);
+  const rel = listOnly ? `/${urlPath.slice(LISTING_PREFIX.length)}` : urlPath;
+  const file = resolvePath(rel);
+  if (!file || !fs.existsSync(file)) return send(res, 404, 'text/plain; charset=utf-8', 'Not Found', head);
+
+  if (fs.statSync(file).isDirectory()) {
+    // "/games" -> "/games/", so relative links in the page and the listing resolve
+    if (!urlPath.endsWith('/')) {
+      res.writeHead(301, { Location: `${urlPath}/` });
+      return res.end();
+    }
+    const index = path.join(file, 'index.html');
+    if (!listOnly && fs.existsSync(index)) return send(res, 200, TYPES['.html'], fs.readFileSync(index), head);
+    return send(res, 200, TYPES['.html'], listingHtml(rel, file), head);
+  }
+  if (listOnly) return send(res, 404, 'text/plain; charset=utf-8', 'Not Found', head);
+  const type = TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  return send(res, 200, type, fs.readFileSync(file), head);
+}
+
+function main() {
+  const arg = process.argv.find(a => a.startsWith('--port='));
+  const port = Number(arg ? arg.slice('--port='.length) : process.env.PORT) || 8000;
+  http.createServer((req, res) => {
+    try {
+      handle(req, res);
+    } catch (err) {
+      console.error(err);
+      send(res, 500, 'text/plain; charset=utf-8', 'Internal Server Error', req.method === 'HEAD');
+    }
+  }).listen(port, () => console.log(`serving ${ROOT} on http://localhost:${port}/`));
+}
+
+main();
@@ -0,0 +1,114 @@
+/* Service worker: offline support for the portfolio and its subprojects
+ *
+ * - Precaches the shell (SHELL below) on install.
+ * - Pages and JSON (index.html of every folder, index.json) go network-first, so a deploy
+ *   shows up right away; offline, the last cached copy is served.
+ * - Other same-origin files (scripts, styles, images of subprojects) are stale-while-
+ *   revalidate: served from the cache and refreshed in the background.
+ * - Cross-origin requests (GitHub API, image APIs) are left alone: script.js has its own
+ *   ETag cache and scan cache in localStorage for those.
+ *
+ * VERSION is a hash of every served file (shell and runtime-cached alike) written by
+ * `node scripts/build-index.js`; a new value installs a fresh precache and `activate`
+ * drops every older pg-* cache.
+ * Navigations are cached without their query string ("?q=cat&sort=updated" is state for
+ * script.js, not another page), so filter URLs don't pile up in the runtime cache.
+ */
+
+'use strict';
+
+const VERSION = '650b4907c2be';
+const SHELL_CACHE = `pg-shell-${VERSION}`;
+const RUNTIME_CACHE = `pg-runtime-${VERSION}`;
+
+// relative to this file; keep in sync with the shell list read by scripts/build-index.js
+const SHELL = [
+  './',
+  'index.html',
+  'script.js',
+  'style.css',
+  'manifest.webmanifest',
+  'assets/i18n.js',
+  'assets/markdown.js',
+  'assets/meta.js',
+  'assets/feeds.js',
+  'assets/theme.js',
+  'assets/icon.svg'
+];
+// cached when present; a repo without index.json still installs
+const OPTIONAL = ['index.json'];
+
+const shellUrls = new Set(SHELL.map(p => new URL(p, self.location).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL);
+    await Promise.all(OPTIONAL.map(p => cache.add(p).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('pg-') && !keep.includes(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+async function store(request, response) {
+  // only complete, same-origin successes (no 206 ranges, no opaque responses)
+  if (!response || response.status !== 200 || response.type !== 'basic') return;
+  // shell files are refreshed in place (without the query string), so a stale precached
+  // copy never shadows a newer one; pages keep one entry per path
+  const url = new URL(request.url);
+  url.search = '';
+  const shell = shellUrls.has(url.href);
+  const cache = await caches.open(shell ? SHELL_CACHE : RUNTIME_CACHE);
+  await cache.put(shell || request.mode === 'navigate' ? url.href : request, response);
+}
+
+async function networkFirst(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(store(request, response.clone()));
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // any URL inside the root (e.g. "?q=cat&sort=updated") falls back to the shell page
+    if (request.mode === 'navigate' && new URL(request.url).pathname === new URL('./', self.location).pathname) {
+      const shell = await caches.match('./');
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  const refresh = fetch(request).then((response) => {
+    event.waitUntil(store(request, response.clone()));
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return; // HEAD probes of the scan/health checks hit the network
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  // requests that opt out of the HTTP cache want fresh data too
+  const fresh = request.mode === 'navigate' || request.cache === 'no-cache' || request.cache === 'no-store'
+    || /\.(?:html|json)$/.test(url.pathname) || url.pathname.endsWith('/');
+  event.respondWith(fresh ? networkFirst(event) : staleWhileRevalidate(event));
+});